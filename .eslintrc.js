@@ -42,6 +42,10 @@ module.exports = {
   globals: {
     // Global variables that are expected to exist
     'CONFIG': 'readonly',
-    'Utils': 'readonly'
+    'Utils': 'readonly',
+    'PaintBorder': 'readonly',
+    'AsciiEffect': 'readonly',
+    'AsciiParticles': 'readonly',
+    'SpatialHash': 'readonly'
   }
 }; 
\ No newline at end of file
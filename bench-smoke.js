@@ -0,0 +1,85 @@
+/**
+ * Frame-time benchmark for the SmokeAnimation simulation step (no DOM, no drawing).
+ * Compares the spatial-hash neighbor queries against the old scan over every particle,
+ * both running clumping on every frame.
+ *
+ * Usage: npm run bench  (or: node bench-smoke.js 100 500 2000)
+ */
+const SmokeAnimation = require("./js/smoke-animation.js");
+const Utils = require("./js/utils.js");
+const { SmokeSimulation } = SmokeAnimation;
+
+const FRAMES = 120;
+const counts = process.argv.slice(2).map(Number).filter(Boolean);
+const particleCounts = counts.length ? counts : [50, 100, 250, 500, 1000, 2000];
+
+const gridQueries = {
+  findNearbySmoke: SmokeSimulation.findNearbySmoke,
+  findNearbyTopParticles: SmokeSimulation.findNearbyTopParticles
+};
+
+// Previous O(n²) neighbor queries, kept here as the baseline
+const scanQueries = {
+  findNearbySmoke(state, smoke, radiusSquared) {
+    const nearby = [];
+    for (const other of state.particles) {
+      if (other === smoke || other.hasReachedTop) continue;
+      const dx = other.currentX - smoke.currentX;
+      const dy = other.currentY - smoke.currentY;
+      const distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared < radiusSquared && distanceSquared > 0) nearby.push(other);
+    }
+    return nearby;
+  },
+  findNearbyTopParticles(state, smoke, radiusSquared) {
+    const nearby = [];
+    for (const other of state.particles) {
+      if (other === smoke || !other.hasReachedTop || other.pathPosition === null) continue;
+      const dx = other.pathPosition - smoke.pathPosition;
+      const distanceSquared = dx * dx;
+      if (distanceSquared < radiusSquared && distanceSquared > 0) nearby.push(other);
+    }
+    return nearby;
+  }
+};
+
+// count particles spread over a 2000 x 1000 page, a quarter of them already on the border
+function createState(count, rng) {
+  const state = SmokeAnimation.createState({ windSpeed: 0, borderLife: Infinity, seed: 1 }, {
+    sourceX: 1000,
+    sourceY: 1000,
+    outline: { x: 0, y: 0, width: 2000, height: 1000, radii: { topLeft: 20, topRight: 20, bottomRight: 20, bottomLeft: 20 } }
+  });
+  state.spawn.clumpSize = count;
+  for (let i = 0; i < count; i++) {
+    const smoke = SmokeSimulation.spawnParticle(state, rng);
+    smoke.currentX = rng() * 2000;
+    if (i % 4 === 0) {
+      smoke.hasReachedTop = true;
+      smoke.currentY = 0;
+      smoke.pathPosition = 20 + rng() * 1960;
+    } else {
+      smoke.currentY = 50 + rng() * 900;
+    }
+  }
+  state.spawn.timer = Infinity; // No new particles
+  return state;
+}
+
+function msPerFrame(count, queries) {
+  Object.assign(SmokeSimulation, queries);
+  const rng = Utils.createRandom(count);
+  const state = createState(count, rng);
+  SmokeAnimation.step(state, 10 * SmokeSimulation.TICK_MS, rng); // Warm up
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < FRAMES; i++) SmokeAnimation.step(state, SmokeSimulation.TICK_MS, rng);
+  return Number(process.hrtime.bigint() - start) / 1e6 / FRAMES;
+}
+
+console.log(`SmokeAnimation update, ms per frame (average of ${FRAMES} frames)`);
+console.log("particles   full scan   spatial hash");
+for (const count of particleCounts) {
+  const scan = msPerFrame(count, scanQueries);
+  const hash = msPerFrame(count, gridQueries);
+  console.log(`${String(count).padStart(9)}   ${scan.toFixed(3).padStart(9)}   ${hash.toFixed(3).padStart(12)}`);
+}
@@ -0,0 +1,229 @@
+/**
+ * Static site build: renders every page in src/ into the shared src/layout.html and copies the
+ * static assets next to them in dist/.
+ *
+ * A page is its own content plus a little front matter:
+ *
+ *   ---
+ *   title: info
+ *   ---
+ *   <!-- head -->      optional, goes at the end of <head>
+ *   <style>...</style>
+ *   <!-- /head -->
+ *   <div class="ascii-container">...</div>
+ *   <!-- scripts -->   optional, goes after the shared scripts
+ *   <script src="../js/ascii-effects.js"></script>
+ *   <!-- /scripts -->
+ *
+ * Front matter keys become {{variables}} in the layout (the layout's own front matter holds the
+ * defaults); {{root}} is the relative path back to the site root, {{path}} the page's own path,
+ * {{content}}, {{head}} and {{scripts}} are the page's parts. src/index.html builds to
+ * dist/index.html, src/pages/x.html to dist/pages/x.html.
+ *
+ * Data-driven parts come from src/partials, fed by the JSON files in src/data ({{projectsIndex}} from
+ * projects.json, {{cv}} plus resume.json / resume.txt from cv.json) and by js/config.js ({{nav}}, the
+ * sidebar menu).
+ *
+ * Usage: npm run build  (or: node build.js [outDir])
+ *        npm run dev    (node build.js --watch: rebuild on every change and serve dist/ with live reload)
+ */
+const fs = require('fs');
+const path = require('path');
+const projects = require('./src/partials/projects.js');
+const cv = require('./src/partials/cv.js');
+const nav = require('./src/partials/nav.js');
+
+const root = __dirname;
+const srcDir = path.join(root, 'src');
+
+// Copied into the output as they are
+const STATIC_FILES = ['CNAME', 'favicon.ico', 'leader-line.min.js', 'css', 'fonts', 'images', 'js'];
+
+/**
+ * Split "---" front matter (one "key: value" per line) from the rest of a file
+ * @param {string} text - File contents
+ * @returns {{data: Object, body: string}}
+ */
+function parseFrontMatter(text) {
+    const match = /^---\n([\s\S]*?)\n---\n/.exec(text);
+    if (!match) {
+        return { data: {}, body: text };
+    }
+
+    const data = {};
+    match[1].split('\n').forEach((line) => {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            data[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+        }
+    });
+    return { data, body: text.slice(match[0].length) };
+}
+
+/**
+ * Read a page: front matter, the optional head / scripts blocks and the content left over
+ * @param {string} text - Page source
+ * @returns {Object} Template variables for the layout
+ */
+function parsePage(text) {
+    const { data, body } = parseFrontMatter(text.replace(/\r\n/g, '\n'));
+    const blocks = { head: '', scripts: '' };
+    const content = body.replace(/<!-- (head|scripts) -->\n([\s\S]*?)\n?<!-- \/\1 -->\n?/g, (all, name, inner) => {
+        blocks[name] = inner;
+        return '';
+    });
+    return { ...data, ...blocks, content: content.replace(/^\n+|\n+$/g, '') };
+}
+
+/**
+ * Fill {{name}} placeholders. A placeholder alone on its line is replaced along with the line,
+ * so empty parts leave no blank lines behind. Values may use placeholders themselves.
+ * @param {string} template - Template text
+ * @param {Object} vars - name -> value
+ * @returns {string}
+ */
+function render(template, vars) {
+    const lookup = (name) => {
+        if (!(name in vars)) {
+            throw new Error(`build: no value for {{${name}}}`);
+        }
+        return render(String(vars[name]), { ...vars, [name]: '' });
+    };
+    return template
+        .replace(/^[ \t]*\{\{(\w+)\}\}\n/gm, (line, name) => {
+            const value = lookup(name);
+            return value ? `${line.slice(0, line.indexOf('{{'))}${value}\n` : '';
+        })
+        .replace(/\{\{(\w+)\}\}/g, (placeholder, name) => lookup(name));
+}
+
+/**
+ * Relative path from a page back to the site root ("" or "../")
+ * @param {string} page - Page path relative to src/, e.g. "pages/info.html"
+ */
+function rootFor(page) {
+    return '../'.repeat(page.split('/').length - 1);
+}
+
+/**
+ * Every src/data/*.json file, keyed by its name ("projects", "cv", ...)
+ */
+function loadData() {
+    const dataDir = path.join(srcDir, 'data');
+    const data = {};
+    fs.readdirSync(dataDir).filter((name) => name.endsWith('.json')).forEach((name) => {
+        data[path.basename(name, '.json')] = JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf8'));
+    });
+    return data;
+}
+
+/**
+ * Every page under src/ as a path relative to it (the layout excluded)
+ */
+function listPages(dir = srcDir, prefix = '') {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const rel = prefix + entry.name;
+        if (entry.isDirectory()) {
+            return listPages(path.join(dir, entry.name), `${rel}/`);
+        }
+        return entry.name.endsWith('.html') && rel !== 'layout.html' ? [rel] : [];
+    });
+}
+
+function copy(from, to) {
+    if (fs.statSync(from).isDirectory()) {
+        fs.mkdirSync(to, { recursive: true });
+        fs.readdirSync(from).forEach((name) => copy(path.join(from, name), path.join(to, name)));
+    } else {
+        fs.copyFileSync(from, to);
+    }
+}
+
+/**
+ * Build the whole site
+ * @param {string} outDir - Output directory (emptied first)
+ * @returns {string[]} Pages written, relative to outDir
+ */
+function build(outDir = path.join(root, 'dist')) {
+    // outDir is emptied below, so never let it be the project (or a folder containing it)
+    if (!path.relative(outDir, root).startsWith('..')) {
+        throw new Error(`build: refusing to build into ${outDir}`);
+    }
+
+    const layout = parseFrontMatter(fs.readFileSync(path.join(srcDir, 'layout.html'), 'utf8').replace(/\r\n/g, '\n'));
+
+    // Empty it rather than remove it, so a server watching outDir keeps its root
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.readdirSync(outDir).forEach((name) => fs.rmSync(path.join(outDir, name), { recursive: true, force: true }));
+    STATIC_FILES.forEach((name) => copy(path.join(root, name), path.join(outDir, name)));
+
+    const data = loadData();
+    nav.checkRoutes(srcDir);
+
+    const pages = listPages();
+    pages.forEach((page) => {
+        const pageVars = { ...layout.data, root: rootFor(page), path: page, ...parsePage(fs.readFileSync(path.join(srcDir, page), 'utf8')) };
+        if (!pageVars.title) {
+            throw new Error(`build: ${page} has no title`);
+        }
+        const vars = {
+            ...pageVars,
+            ...nav.variables(pageVars),
+            ...projects.variables(data.projects, pageVars),
+            ...cv.variables(data, pageVars)
+        };
+
+        const file = path.join(outDir, page);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, render(layout.body, vars));
+    });
+
+    Object.entries(cv.files(data)).forEach(([name, contents]) => fs.writeFileSync(path.join(outDir, name), contents));
+    return pages;
+}
+
+/**
+ * Every directory under dir, dir included
+ */
+function listDirs(dir) {
+    return [dir, ...fs.readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .flatMap((entry) => listDirs(path.join(dir, entry.name)))];
+}
+
+/**
+ * Rebuild whenever something under src/ or a copied static folder changes
+ * @param {string} outDir - Output directory
+ * @param {Function} onBuild - Called with the pages after each successful rebuild
+ */
+function watch(outDir, onBuild) {
+    const sources = [srcDir, ...STATIC_FILES.map((name) => path.join(root, name))]
+        .filter((name) => fs.statSync(name).isDirectory());
+    let timer = null;
+    const rebuild = () => {
+        try {
+            onBuild(build(outDir));
+        } catch (error) {
+            console.error(error.message);
+        }
+    };
+    // Editors write a file in several steps; rebuild once they are done
+    sources.flatMap(listDirs).forEach((dir) => fs.watch(dir, () => {
+        clearTimeout(timer);
+        timer = setTimeout(rebuild, 100);
+    }));
+}
+
+module.exports = { parseFrontMatter, parsePage, render, loadData, build, watch };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const outDir = path.resolve(args.find((arg) => !arg.startsWith('--')) || path.join(root, 'dist'));
+    const report = (pages) => console.log(`Built ${pages.length} pages into ${path.relative(root, outDir) || '.'}`);
+    report(build(outDir));
+
+    if (args.includes('--watch')) {
+        watch(outDir, report);
+        require('live-server').start({ root: outDir, port: 3000, logLevel: 0, wait: 200 });
+    }
+}
@@ -0,0 +1,998 @@
+/**
+ * ASCII Effects
+ * A small particle engine for the ASCII scenes: characters spawn over an area, move under a
+ * pluggable behavior (rain, snow, leaves, fireflies, sparks) and are drawn on one canvas overlay.
+ * SmokeAnimation is built on the same pieces (AsciiEffect lifecycle, fixed timestep, SpatialHash).
+ *
+ * Usage:
+ *   const effect = new AsciiEffect(element, { behavior: 'snow' });
+ *   effect.start();
+ *
+ *   // Declarative: the attribute names a CONFIG.asciiEffects.presets entry or a behavior,
+ *   // data-ascii-effect-* attributes override single options
+ *   <pre class="ascii" data-ascii-effect="rain" data-ascii-effect-area="[56, 1, 14, 6]">
+ *
+ *   // Headless (no DOM): bounds in page coordinates, advanced in fixed 60Hz ticks
+ *   const state = AsciiParticles.createState(AsciiEffect.resolveOptions({ behavior: 'rain' }), { x, y, width, height });
+ *   AsciiParticles.step(state, 16.7, Utils.createRandom('seed'));   // state.particles: [{char, x, y, opacity}, ...]
+ *
+ * options.behavior: name in AsciiParticles.behaviors; its defaults fill in the options below
+ * options.area: [column, row, columns, rows] of the element's character grid to use, null for the whole element
+ * options.chars / options.color: characters (picked at random unless the behavior decides) and CSS color
+ * options.rate: particles per second; options.maxParticles caps how many are alive at once
+ * options.spawnAt: 'top' | 'bottom' | 'area' — where particles appear
+ * options.fallSpeed / options.drift: [min, max] starting vertical / horizontal speed (px per tick, negative rises)
+ * options.gravity, options.wind, options.drag: acceleration, steady sideways push and velocity kept per tick
+ * options.sway / options.swaySpeed: side-to-side wobble amplitude and [min, max] phase step per tick
+ * options.life: [min, max] ms before fading out (Infinity: until it leaves the area); options.fade: fade in/out ms
+ * options.floor: whether falling particles land on the bottom of the area (false: they fall out of it)
+ * options.settle: [min, max] ms a particle rests where it lands on the bottom (0 = vanishes there);
+ *   landed particles stack stackHeight px per layer in stackWidth px wide columns
+ * options.clusterRadius / options.clusterStrength: pull toward neighbors within the radius (0 = off)
+ * options.reducedMotion: 'static' (default, one still frame) | 'slow' (reducedMotionSpeed) | 'ignore'
+ * options.seed: number | string — same seed, bounds and frame times always give the same particles
+ *
+ * New behaviors: AsciiEffect.registerBehavior(name, { defaults, spawn(particle, state, rng),
+ *   update(particle, state, rng), land(particle, state, rng) }) — every hook is optional.
+ * Lifecycle: effect.pause() / effect.resume() / effect.destroy(), AsciiEffect.destroyAll().
+ * The loop also pauses by itself while the tab is hidden or the element is scrolled out of view.
+ */
+
+// Utils is a global in the browser; require it when loaded under Node
+const AsciiEffectsUtils = typeof Utils !== 'undefined' ? Utils : require('./utils.js');
+
+class AsciiEffect {
+    constructor(element, options = {}) {
+        this.element = typeof element === 'string' ? document.querySelector(element) : element;
+        this.options = this.constructor.resolveOptions(options);
+        this.state = null; // Simulation state, see AsciiParticles.createState()
+        this.random = AsciiEffectsUtils.createRandom(this.options.seed);
+        this.animationFrame = null;
+        this.isRunning = false;
+        this.lastFrameTime = null; // requestAnimationFrame timestamp of the previous frame
+        // Canvas overlay, fixed to the viewport
+        this.canvas = null;
+        this.ctx = null;
+        this.pixelRatio = 1;
+        // Text style and character cell read from the element
+        this.text = null;
+        this.scrollX = 0;
+        this.scrollY = 0;
+        this.listeners = []; // {target, type, handler, options}, removed by destroy()
+        // Lifecycle: the loop runs only while none of these hold
+        this.paused = false; // pause() / resume()
+        this.offscreen = false; // Element scrolled out of view
+        this.still = false; // Reduced motion 'static': one frame, redrawn on scroll / resize
+        this.destroyed = false;
+        this.reducedMotionQuery = null;
+        this.intersectionObserver = null;
+        this.constructor.instances.add(this);
+    }
+
+    /**
+     * Fill in default options: engine defaults, then the behavior's, then the caller's
+     */
+    static resolveOptions(options = {}) {
+        // An unknown behavior name adds no defaults and no hooks: plain particles
+        const behavior = AsciiParticles.behaviors[options.behavior || 'snow'];
+        return {
+            behavior: 'snow',
+            area: null,                       // [column, row, columns, rows] in characters, null for the whole element
+            zIndex: 1001,                     // Above the PaintBorder frame canvas
+            reducedMotion: 'static',          // Under prefers-reduced-motion: 'static' | 'slow' | 'ignore'
+            reducedMotionSpeed: 0.25,         // Speed of the 'slow' fallback
+            stillTime: 8000,                  // Simulated time behind the 'static' still (ms)
+            ...AsciiParticles.DEFAULTS,
+            ...(behavior && behavior.defaults),
+            ...options,
+            seed: options.seed !== undefined ? options.seed : Math.floor(Math.random() * 4294967296)
+        };
+    }
+
+    /**
+     * Add a behavior (or replace a built-in one), usable as options.behavior and data-ascii-effect
+     * @param {string} name - Behavior name
+     * @param {Object} behavior - {defaults, spawn, update, land}, all optional
+     */
+    static registerBehavior(name, behavior) {
+        AsciiParticles.behaviors[name] = behavior;
+    }
+
+    /**
+     * Start one effect per [data-ascii-effect] element. The attribute value names a preset
+     * in CONFIG.asciiEffects.presets or a behavior; data-ascii-effect-* attributes override single options.
+     * @param {ParentNode} root - Document or element to scan
+     * @returns {AsciiEffect[]} Effects that were started (elements that already have one are skipped)
+     */
+    static initAll(root = document) {
+        const presets = typeof CONFIG !== 'undefined' && CONFIG.asciiEffects ? CONFIG.asciiEffects.presets : {};
+        const active = new Set(Array.from(AsciiEffect.instances, (effect) => effect.element));
+        return Array.from(root.querySelectorAll('[data-ascii-effect]')).filter((element) => !active.has(element)).map((element) => {
+            const { preset, options } = AsciiEffectsUtils.readDataOptions(element, 'asciiEffect');
+            let presetOptions = {};
+            if (presets && presets[preset]) {
+                presetOptions = presets[preset];
+            } else if (preset) {
+                presetOptions = { behavior: preset };
+            }
+            const effect = new AsciiEffect(element, { ...presetOptions, ...options });
+            effect.start();
+            return effect;
+        });
+    }
+
+    /**
+     * Stop and remove every effect of this class on the page
+     */
+    static destroyAll() {
+        Array.from(this.instances).forEach((effect) => effect.destroy());
+    }
+
+    /**
+     * Measure the element, create the overlay and the simulation, then run
+     */
+    start() {
+        if (this.state || this.destroyed || !this.element) {
+            return;
+        }
+
+        this.setupCanvas();
+        this.text = this.measureText();
+        this.state = AsciiParticles.createState(this.options, this.measureBounds());
+        this.setupLifecycle();
+    }
+
+    /**
+     * Font, color and character cell of the element's text, so particles match the ASCII art
+     */
+    measureText() {
+        const style = getComputedStyle(this.element);
+        const fontSize = parseFloat(style.fontSize) || 16;
+        const font = `${style.fontSize || '16px'} ${style.fontFamily || 'monospace'}`;
+        let charWidth = 0;
+        if (this.ctx) {
+            this.ctx.font = font;
+            const metrics = this.ctx.measureText('M');
+            charWidth = metrics && metrics.width;
+        }
+        const lineHeight = parseFloat(style.lineHeight) || fontSize * 1.2;
+        return {
+            font,
+            color: AsciiEffectsUtils.resolveCSSValue(this.options.color) || '#ff0000',
+            charWidth: charWidth || fontSize * 0.6,
+            lineHeight,
+            // Half-leading above the glyph, so canvas text lands where the element's own text does
+            lineOffset: (lineHeight - fontSize) / 2
+        };
+    }
+
+    /**
+     * The area particles live in, in page coordinates: the element's box, or options.area
+     * counted in characters from the top-left of its content box
+     */
+    measureBounds() {
+        const rect = this.element.getBoundingClientRect();
+        const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
+        const scrollY = window.pageYOffset || document.documentElement.scrollTop;
+        const area = this.options.area;
+        if (!Array.isArray(area)) {
+            return { x: rect.left + scrollX, y: rect.top + scrollY, width: rect.width, height: rect.height };
+        }
+
+        const style = getComputedStyle(this.element);
+        const left = rect.left + scrollX + (parseFloat(style.borderLeftWidth) || 0) + (parseFloat(style.paddingLeft) || 0);
+        const top = rect.top + scrollY + (parseFloat(style.borderTopWidth) || 0) + (parseFloat(style.paddingTop) || 0);
+        const [column, row, columns, rows] = area;
+        const { charWidth, lineHeight } = this.text;
+        return {
+            x: left + column * charWidth,
+            y: top + row * lineHeight,
+            width: columns * charWidth,
+            height: rows * lineHeight
+        };
+    }
+
+    /**
+     * Create the overlay canvas the particles are drawn on
+     * @param {string} className - Class of the canvas element
+     */
+    setupCanvas(className = 'ascii-effect-canvas') {
+        if (this.canvas) {
+            return;
+        }
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = className;
+        this.canvas.setAttribute('aria-hidden', 'true');
+        this.canvas.style.position = 'fixed';
+        this.canvas.style.top = '0';
+        this.canvas.style.left = '0';
+        this.canvas.style.pointerEvents = 'none';
+        this.canvas.style.zIndex = String(this.options.zIndex);
+        this.ctx = this.canvas.getContext('2d');
+        document.body.appendChild(this.canvas);
+        this.resizeCanvas();
+    }
+
+    /**
+     * Match the canvas to the viewport, scaling the backing store by devicePixelRatio
+     */
+    resizeCanvas() {
+        if (!this.canvas) {
+            return;
+        }
+
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        this.pixelRatio = window.devicePixelRatio || 1;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.canvas.width = Math.round(width * this.pixelRatio);
+        this.canvas.height = Math.round(height * this.pixelRatio);
+    }
+
+    /**
+     * Add an event listener that destroy() removes again
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    /**
+     * Follow scrolling, web fonts, tab visibility, prefers-reduced-motion and whether the element
+     * is on screen, then start the loop if nothing holds it back
+     */
+    setupLifecycle() {
+        this.listen(window, 'scroll', () => this.handleScroll(), { passive: true });
+        this.listen(document, 'visibilitychange', () => this.updateRunning());
+        // Web fonts reflow the ASCII art
+        if (document.fonts && typeof document.fonts.addEventListener === 'function') {
+            this.listen(document.fonts, 'loadingdone', () => this.updateLayout());
+        }
+
+        if (typeof window.matchMedia === 'function') {
+            this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.listen(this.reducedMotionQuery, 'change', () => this.updateRunning());
+        }
+
+        if (typeof IntersectionObserver === 'function' && this.element) {
+            this.intersectionObserver = new IntersectionObserver((entries) => {
+                this.offscreen = !entries[entries.length - 1].isIntersecting;
+                this.updateRunning();
+            });
+            this.intersectionObserver.observe(this.element);
+        }
+
+        this.updateRunning();
+    }
+
+    /**
+     * Whether prefers-reduced-motion applies to this effect
+     */
+    isReducedMotion() {
+        return this.options.reducedMotion !== 'ignore' && !!this.reducedMotionQuery && this.reducedMotionQuery.matches;
+    }
+
+    /**
+     * Start or stop the loop depending on pause(), tab visibility, the element being on screen
+     * and motion preference
+     */
+    updateRunning() {
+        if (!this.state || this.destroyed) {
+            return;
+        }
+
+        this.still = this.isReducedMotion() && this.options.reducedMotion === 'static';
+        if (this.still) {
+            this.stop();
+            this.drawStill();
+            return;
+        }
+
+        const shouldRun = !this.paused && !document.hidden && !this.offscreen;
+        if (shouldRun) {
+            this.startAnimation();
+        } else {
+            this.stop();
+        }
+    }
+
+    /**
+     * Reduced motion 'static': draw a settled scene once instead of animating it
+     */
+    drawStill() {
+        // Nothing has moved yet on a fresh start, so simulate the first few seconds up front
+        if (this.state.ticks === 0) {
+            for (let time = 0; time < this.options.stillTime; time += AsciiParticles.MAX_STEP_MS) {
+                this.simulate(AsciiParticles.MAX_STEP_MS);
+            }
+        }
+        this.scrollX = window.pageXOffset || document.documentElement.scrollLeft;
+        this.scrollY = window.pageYOffset || document.documentElement.scrollTop;
+        this.render();
+    }
+
+    /**
+     * Hold the animation; resume() picks up where it stopped
+     */
+    pause() {
+        this.paused = true;
+        this.updateRunning();
+    }
+
+    /**
+     * Continue after pause() (still held while the tab is hidden or the element is offscreen)
+     */
+    resume() {
+        this.paused = false;
+        this.updateRunning();
+    }
+
+    /**
+     * Start the animation loop
+     */
+    startAnimation() {
+        if (this.isRunning) {
+            return;
+        }
+        this.isRunning = true;
+        this.lastFrameTime = null;
+        this.animationFrame = requestAnimationFrame((time) => this.animate(time));
+    }
+
+    /**
+     * Main animation loop: advance the simulation by the real time since the last frame, then draw it
+     */
+    animate(time) {
+        if (!this.isRunning) {
+            return;
+        }
+
+        const dt = this.lastFrameTime === null ? 0 : time - this.lastFrameTime;
+        this.lastFrameTime = time;
+
+        // Cache scroll position once per frame for drawing
+        this.scrollX = window.pageXOffset || document.documentElement.scrollLeft;
+        this.scrollY = window.pageYOffset || document.documentElement.scrollTop;
+
+        this.update(dt);
+        this.render();
+
+        this.animationFrame = requestAnimationFrame((next) => this.animate(next));
+    }
+
+    /**
+     * Advance one frame; reduced motion 'slow' runs the same simulation at a fraction of the speed
+     */
+    update(dt) {
+        const speed = this.isReducedMotion() ? this.options.reducedMotionSpeed : 1;
+        this.simulate(dt * speed);
+    }
+
+    /**
+     * Advance the simulation by dt milliseconds
+     */
+    simulate(dt) {
+        AsciiParticles.step(this.state, dt, this.random);
+    }
+
+    /**
+     * Draw every particle's character onto the overlay canvas in the element's font
+     */
+    render() {
+        if (!this.ctx || !this.state) {
+            return;
+        }
+
+        const ctx = this.ctx;
+        const particles = this.state.particles;
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width / this.pixelRatio, this.canvas.height / this.pixelRatio);
+        ctx.font = this.text.font;
+        ctx.fillStyle = this.text.color;
+        ctx.textBaseline = 'top';
+        const offsetX = -this.scrollX;
+        const offsetY = this.text.lineOffset - this.scrollY;
+
+        for (let i = 0; i < particles.length; i++) {
+            const particle = particles[i];
+            ctx.globalAlpha = particle.opacity;
+            ctx.fillText(particle.char, particle.x + offsetX, particle.y + offsetY);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * The canvas is fixed to the viewport, so a still frame has to follow the page
+     */
+    handleScroll() {
+        if (this.still) {
+            this.drawStill();
+        }
+    }
+
+    /**
+     * Re-measure after layout changes (resize, web fonts loading)
+     */
+    updateLayout() {
+        if (!this.state) {
+            return;
+        }
+        this.text = this.measureText();
+        AsciiParticles.setBounds(this.state, this.measureBounds());
+    }
+
+    /**
+     * Handle window resize
+     */
+    handleResize() {
+        if (!this.state) {
+            return;
+        }
+        this.updateLayout();
+        this.resizeCanvas();
+        if (this.still) {
+            this.drawStill();
+        }
+    }
+
+    /**
+     * Stop the animation loop (particles stay where they are)
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    /**
+     * Stop for good: remove listeners, observers and the canvas
+     */
+    destroy() {
+        if (this.destroyed) {
+            return;
+        }
+        this.destroyed = true;
+        this.stop();
+
+        this.listeners.forEach(({ target, type, handler, options }) => target.removeEventListener(type, handler, options));
+        this.listeners = [];
+        if (this.intersectionObserver) {
+            this.intersectionObserver.disconnect();
+            this.intersectionObserver = null;
+        }
+
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+            this.ctx = null;
+        }
+        this.state = null;
+        this.constructor.instances.delete(this);
+    }
+}
+
+/**
+ * The engine behind AsciiEffect: spawning, moving, landing and fading particles as plain
+ * functions of a state object. No DOM, timers or Math.random, so the same state, frame times
+ * and seeded rng always produce the same particles. Every movement amount is per tick of TICK_MS.
+ */
+class AsciiParticles {
+    /**
+     * @param {Object} options - Resolved AsciiEffect options
+     * @param {Object} bounds - Area in page coordinates: {x, y, width, height}
+     */
+    static createState(options, bounds = { x: 0, y: 0, width: 0, height: 0 }) {
+        return {
+            options,
+            behavior: AsciiParticles.behaviors[options.behavior] || {},
+            bounds,
+            particles: [],
+            nextId: 0,
+            accumulator: 0,       // Time not yet simulated (less than one tick)
+            ticks: 0,
+            spawnBudget: 0,       // Fractional particles owed by options.rate
+            piles: new Map(),     // Column -> particles resting on the bottom there
+            grid: new SpatialHash(options.clusterRadius || 20),
+            queryBuffer: []       // Reused candidate list so queries don't allocate
+        };
+    }
+
+    /**
+     * Move the area (e.g. after a resize); particles keep their page positions
+     */
+    static setBounds(state, bounds) {
+        state.bounds = bounds;
+    }
+
+    /**
+     * Run tick() once per TICK_MS of dt, carrying the remainder over to the next call
+     * @param {Object} state - Any state with an accumulator
+     * @param {number} dt - Elapsed time in milliseconds
+     * @param {Function} tick - Advances the state by one tick
+     * @returns {Object} The same state
+     */
+    static advance(state, dt, tick) {
+        // Cap long gaps (background tab, debugger) so effects don't fast-forward
+        state.accumulator += Math.min(Math.max(dt, 0), AsciiParticles.MAX_STEP_MS);
+        while (state.accumulator >= AsciiParticles.TICK_MS) {
+            state.accumulator -= AsciiParticles.TICK_MS;
+            tick();
+        }
+        return state;
+    }
+
+    /**
+     * Advance the simulation by dt milliseconds in fixed 60Hz ticks
+     * @param {Object} state - State from createState(); updated in place
+     * @param {number} dt - Elapsed time in milliseconds
+     * @param {Function} rng - Random source returning [0, 1), e.g. Utils.createRandom(seed)
+     * @returns {Object} The same state
+     */
+    static step(state, dt, rng) {
+        return AsciiParticles.advance(state, dt, () => AsciiParticles.tick(state, rng));
+    }
+
+    /**
+     * One fixed timestep: spawn, move every particle, then drop the finished ones
+     */
+    static tick(state, rng) {
+        state.ticks++;
+        AsciiParticles.updateSpawning(state, rng);
+
+        if (state.options.clusterStrength) {
+            state.grid.clear();
+            state.particles.forEach((particle) => {
+                if (!particle.settled) {
+                    state.grid.insert(particle, particle.x, particle.y);
+                }
+            });
+        }
+
+        let finished = false;
+        for (let i = 0; i < state.particles.length; i++) {
+            AsciiParticles.updateParticle(state, state.particles[i], rng);
+            finished = finished || state.particles[i].dead;
+        }
+
+        if (finished) {
+            state.particles = state.particles.filter((particle) => {
+                if (particle.dead && particle.column !== null) {
+                    AsciiParticles.leavePile(state, particle);
+                }
+                return !particle.dead;
+            });
+        }
+    }
+
+    /**
+     * Pick a value from a [min, max] range (or return a plain number as is)
+     */
+    static randomBetween(range, rng, integer = false) {
+        if (!Array.isArray(range)) {
+            return range;
+        }
+        const [min, max] = range;
+        return integer
+            ? min + Math.floor(rng() * (max - min + 1))
+            : min + rng() * (max - min);
+    }
+
+    /**
+     * Spawn options.rate particles per second, carrying fractions over between ticks
+     */
+    static updateSpawning(state, rng) {
+        const options = state.options;
+        state.spawnBudget += options.rate * AsciiParticles.TICK_MS / 1000;
+        while (state.spawnBudget >= 1) {
+            state.spawnBudget -= 1;
+            if (state.particles.length < options.maxParticles) {
+                AsciiParticles.spawnParticle(state, rng);
+            }
+        }
+    }
+
+    /**
+     * Create a particle where options.spawnAt says, then let the behavior adjust it
+     */
+    static spawnParticle(state, rng) {
+        const { options, bounds, behavior } = state;
+        const chars = options.chars;
+        const charIndex = Math.floor(rng() * chars.length);
+        const x = bounds.x + rng() * bounds.width;
+        const y = options.spawnAt === 'bottom' ? bounds.y + bounds.height
+            : options.spawnAt === 'area' ? bounds.y + rng() * bounds.height
+                : bounds.y;
+
+        const particle = {
+            id: state.nextId++,
+            char: chars[charIndex],
+            charIndex,
+            x,
+            y,
+            vx: AsciiParticles.randomBetween(options.drift, rng),
+            vy: AsciiParticles.randomBetween(options.fallSpeed, rng),
+            age: 0,
+            life: AsciiParticles.randomBetween(options.life, rng),
+            opacity: options.fade > 0 ? 0 : 1,
+            brightness: 1,        // Behaviors can dim or pulse a particle on top of the fades
+            phase: rng() * Math.PI * 2,
+            swaySpeed: AsciiParticles.randomBetween(options.swaySpeed, rng),
+            settled: false,       // Resting where it landed
+            rest: 0,              // Time left resting (ms)
+            column: null,         // Pile it rests on
+            dead: false
+        };
+        if (behavior.spawn) {
+            behavior.spawn(particle, state, rng);
+        }
+        state.particles.push(particle);
+        return particle;
+    }
+
+    /**
+     * Move one particle: behavior first, then gravity, drag, wind, sway and clustering;
+     * land it on the bottom, drop it once it leaves the area or its life runs out
+     */
+    static updateParticle(state, particle, rng) {
+        const { options, bounds, behavior } = state;
+        particle.age += AsciiParticles.TICK_MS;
+
+        if (particle.settled) {
+            particle.rest -= AsciiParticles.TICK_MS;
+        } else {
+            if (behavior.update) {
+                behavior.update(particle, state, rng);
+            }
+
+            particle.vy += options.gravity;
+            particle.vx *= options.drag;
+            particle.vy *= options.drag;
+            particle.phase += particle.swaySpeed;
+            particle.x += particle.vx + options.wind + Math.sin(particle.phase) * options.sway;
+            particle.y += particle.vy;
+
+            if (options.clusterStrength) {
+                AsciiParticles.applyClustering(state, particle);
+            }
+
+            const ground = options.floor ? AsciiParticles.groundAt(state, particle.x) : Infinity;
+            if (particle.vy > 0 && particle.y >= ground) {
+                AsciiParticles.land(state, particle, ground, rng);
+            }
+
+            // Left the area (with a little margin so nothing pops at the edges)
+            const margin = 20;
+            if (particle.x < bounds.x - margin || particle.x > bounds.x + bounds.width + margin ||
+                particle.y < bounds.y - margin || particle.y > bounds.y + bounds.height + margin) {
+                particle.dead = true;
+            }
+        }
+
+        // Fade in after spawning, fade out at the end of its life or its rest
+        const fade = options.fade;
+        const remaining = particle.settled ? particle.rest : particle.life - particle.age;
+        const fadeIn = fade > 0 ? Math.min(1, particle.age / fade) : 1;
+        const fadeOut = fade > 0 ? Math.min(1, remaining / fade) : 1;
+        particle.opacity = Math.max(0, Math.min(fadeIn, fadeOut)) * particle.brightness;
+        if (remaining <= 0) {
+            particle.dead = true;
+        }
+    }
+
+    /**
+     * Top of the pile at x: the bottom of the area, raised by particles already resting there
+     */
+    static groundAt(state, x) {
+        const { options, bounds } = state;
+        const bottom = bounds.y + bounds.height;
+        if (!options.stackHeight) {
+            return bottom;
+        }
+        const height = state.piles.get(AsciiParticles.columnAt(state, x)) || 0;
+        return bottom - height * options.stackHeight;
+    }
+
+    static columnAt(state, x) {
+        return Math.floor((x - state.bounds.x) / state.options.stackWidth);
+    }
+
+    /**
+     * A falling particle hit the ground: rest there for options.settle ms (stacking on the pile), or vanish
+     */
+    static land(state, particle, ground, rng) {
+        const { options, behavior } = state;
+        particle.y = ground;
+        if (behavior.land) {
+            behavior.land(particle, state, rng);
+        }
+
+        const settle = AsciiParticles.randomBetween(options.settle, rng);
+        if (!settle) {
+            particle.dead = true;
+            return;
+        }
+        particle.settled = true;
+        particle.rest = settle;
+        particle.vx = 0;
+        particle.vy = 0;
+        if (options.stackHeight) {
+            particle.column = AsciiParticles.columnAt(state, particle.x);
+            state.piles.set(particle.column, (state.piles.get(particle.column) || 0) + 1);
+        }
+    }
+
+    static leavePile(state, particle) {
+        const height = (state.piles.get(particle.column) || 1) - 1;
+        if (height > 0) {
+            state.piles.set(particle.column, height);
+        } else {
+            state.piles.delete(particle.column);
+        }
+        particle.column = null;
+    }
+
+    /**
+     * Drift toward the center of nearby moving particles (grid lookup, squared distances)
+     */
+    static applyClustering(state, particle) {
+        const radius = state.options.clusterRadius;
+        const radiusSquared = radius * radius;
+        const candidates = state.grid.query(particle.x, particle.y, radius, state.queryBuffer);
+        let forceX = 0;
+        let forceY = 0;
+        for (let i = 0; i < candidates.length; i++) {
+            const other = candidates[i];
+            if (other === particle) {
+                continue;
+            }
+            const dx = other.x - particle.x;
+            const dy = other.y - particle.y;
+            const distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared > 0 && distanceSquared < radiusSquared) {
+                const distance = Math.sqrt(distanceSquared);
+                const force = (1 - distance / radius) * state.options.clusterStrength;
+                forceX += dx / distance * force;
+                forceY += dy / distance * force;
+            }
+        }
+        particle.x += forceX;
+        particle.y += forceY;
+    }
+}
+
+// 60 ticks per second, whatever the display refresh rate
+AsciiParticles.TICK_MS = 1000 / 60;
+// Longest frame gap simulated in one step
+AsciiParticles.MAX_STEP_MS = 250;
+
+// Options every behavior starts from (speeds in px per tick)
+AsciiParticles.DEFAULTS = {
+    chars: ['*', '.'],
+    color: '#7b7b7b',
+    rate: 4,                  // Particles per second
+    maxParticles: 200,
+    spawnAt: 'top',           // 'top' | 'bottom' | 'area'
+    fallSpeed: [0.3, 0.6],    // Starting vertical speed [min, max] (negative rises)
+    drift: [-0.1, 0.1],       // Starting horizontal speed [min, max]
+    gravity: 0,
+    wind: 0,
+    drag: 1,                  // Velocity kept per tick
+    sway: 0,                  // Side-to-side wobble (px per tick)
+    swaySpeed: [0.02, 0.05],
+    life: Infinity,           // [min, max] ms, or until it leaves the area
+    fade: 400,                // Fade in / out time (ms)
+    floor: true,              // Land on the bottom of the area
+    settle: 0,                // Rest on the bottom [min, max] (ms), 0 = vanish there
+    stackHeight: 0,           // Pile height per resting particle (px)
+    stackWidth: 8,            // Pile column width (px)
+    clusterRadius: 20,
+    clusterStrength: 0
+};
+
+// Built-in behaviors: defaults plus optional spawn / update / land hooks
+AsciiParticles.behaviors = {
+    // Straight, fast streaks that splash into a '.' on the bottom
+    rain: {
+        defaults: {
+            chars: ['|', '\'', ':'],
+            rate: 20,
+            fallSpeed: [2.5, 3.5],
+            drift: [-0.05, 0.05],
+            wind: -0.3,
+            fade: 100,
+            settle: [120, 220]
+        },
+        land(particle) {
+            particle.char = '.';
+        }
+    },
+
+    // Slow flakes wobbling down and piling up on the bottom
+    snow: {
+        defaults: {
+            chars: ['*', '.', '+'],
+            rate: 5,
+            fallSpeed: [0.25, 0.5],
+            sway: 0.3,
+            settle: [4000, 8000],
+            stackHeight: 3
+        }
+    },
+
+    // Tumbling leaves: the character turns as the leaf spins, then rests on the ground
+    leaves: {
+        defaults: {
+            chars: ['-', '\\', '|', '/'],
+            rate: 0.6,
+            fallSpeed: [0.3, 0.6],
+            drift: [-0.2, 0.2],
+            sway: 0.7,
+            swaySpeed: [0.03, 0.06],
+            settle: [3000, 6000],
+            stackHeight: 2
+        },
+        spawn(particle, state, rng) {
+            particle.spin = rng() * 4;
+            particle.spinSpeed = 0.05 + rng() * 0.1;
+        },
+        update(particle, state) {
+            particle.spin += particle.spinSpeed;
+            particle.char = state.options.chars[Math.floor(particle.spin) % state.options.chars.length];
+        },
+        land(particle) {
+            particle.char = '_';
+        }
+    },
+
+    // Points of light wandering inside the area, pulsing on and off
+    fireflies: {
+        defaults: {
+            chars: ['.', '*'],
+            color: 'var(--color-text, #ff0000)',
+            rate: 0.8,
+            maxParticles: 12,
+            spawnAt: 'area',
+            fallSpeed: [-0.15, 0.15],
+            drift: [-0.15, 0.15],
+            life: [4000, 9000],
+            fade: 800,
+            floor: false
+        },
+        spawn(particle, state, rng) {
+            particle.glowSpeed = 0.03 + rng() * 0.04;
+        },
+        update(particle, state, rng) {
+            const { bounds } = state;
+            // Random wander, capped to a slow drift
+            particle.vx = Math.max(-0.3, Math.min(0.3, particle.vx + (rng() - 0.5) * 0.04));
+            particle.vy = Math.max(-0.3, Math.min(0.3, particle.vy + (rng() - 0.5) * 0.04));
+            // Turn back at the edges instead of leaving the area
+            if (particle.x < bounds.x) {
+                particle.vx = Math.abs(particle.vx);
+            } else if (particle.x > bounds.x + bounds.width) {
+                particle.vx = -Math.abs(particle.vx);
+            }
+            if (particle.y < bounds.y) {
+                particle.vy = Math.abs(particle.vy);
+            } else if (particle.y > bounds.y + bounds.height) {
+                particle.vy = -Math.abs(particle.vy);
+            }
+            // Glow: bright '*' at the top of the pulse, dim '.' in between
+            const glow = 0.5 + 0.5 * Math.sin(particle.age * particle.glowSpeed / 10);
+            particle.brightness = 0.25 + glow * 0.75;
+            particle.char = state.options.chars[glow > 0.8 ? state.options.chars.length - 1 : 0];
+        }
+    },
+
+    // Quick bright bits thrown up from the bottom, thinning out as they cool
+    sparks: {
+        defaults: {
+            chars: ['*', '+', '\'', '.'],
+            color: 'var(--color-text, #ff0000)',
+            rate: 6,
+            spawnAt: 'bottom',
+            fallSpeed: [-2.2, -1.2],
+            drift: [-0.6, 0.6],
+            gravity: 0.04,
+            drag: 0.98,
+            life: [500, 1200],
+            fade: 250
+        },
+        update(particle, state) {
+            const chars = state.options.chars;
+            particle.char = chars[Math.min(chars.length - 1, Math.floor(particle.age / particle.life * chars.length))];
+        }
+    }
+};
+
+/**
+ * Uniform grid for neighbor queries: items are bucketed by cell, so a radius query only
+ * looks at the cells it overlaps instead of every particle. Cheaper to clear and refill
+ * each frame than to track particles moving between cells.
+ */
+class SpatialHash {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.invCellSize = 1 / cellSize;
+        this.cells = new Map();
+    }
+
+    /**
+     * Numeric cell key (unique while cell coordinates stay within ±32768)
+     */
+    static key(cellX, cellY) {
+        return (cellX + 32768) * 65536 + (cellY + 32768);
+    }
+
+    clear() {
+        this.cells.clear();
+    }
+
+    insert(item, x, y) {
+        const key = SpatialHash.key(Math.floor(x * this.invCellSize), Math.floor(y * this.invCellSize));
+        const cell = this.cells.get(key);
+        if (cell) {
+            cell.push(item);
+        } else {
+            this.cells.set(key, [item]);
+        }
+    }
+
+    /**
+     * Collect every item in the cells overlapping a circle (callers still check the exact distance)
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} radius - Query radius
+     * @param {Array} out - Array to fill (cleared first), reused to avoid allocating per query
+     * @returns {Array} Candidate items
+     */
+    query(x, y, radius, out = []) {
+        out.length = 0;
+        const minX = Math.floor((x - radius) * this.invCellSize);
+        const maxX = Math.floor((x + radius) * this.invCellSize);
+        const minY = Math.floor((y - radius) * this.invCellSize);
+        const maxY = Math.floor((y + radius) * this.invCellSize);
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellY = minY; cellY <= maxY; cellY++) {
+                const cell = this.cells.get(SpatialHash.key(cellX, cellY));
+                if (!cell) {
+                    continue;
+                }
+                for (let i = 0; i < cell.length; i++) {
+                    out.push(cell[i]);
+                }
+            }
+        }
+        return out;
+    }
+}
+
+// Every live effect, for destroyAll() and the shared resize handler
+AsciiEffect.instances = new Set();
+
+// Export for module usage (headless simulation under Node, SmokeAnimation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AsciiEffect, AsciiParticles, SpatialHash };
+}
+
+// Initialize when DOM is ready (skipped under Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        AsciiEffect.initAll(document);
+
+        // Handle resize (debounced) for every effect, including ones started later by initAll(root)
+        // or new AsciiEffect(); each effect listens for scrolling itself
+        let resizeTimeout;
+
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => {
+                AsciiEffect.instances.forEach((effect) => effect.handleResize());
+            }, 100);
+        });
+    });
+}
@@ -0,0 +1,301 @@
+/**
+ * ASCII Sprites
+ * Plays named multi-line frames over a region of a <pre class="ascii">, e.g. a sun whose rays turn
+ * or flowers that sway. Frames are written into the existing text, character by character, so links
+ * and other markup inside the region keep working.
+ *
+ * Usage:
+ *   // Declarative: an empty marker right before the sprite's top-left character; the name is a
+ *   // CONFIG.asciiSprites entry, data-ascii-sprite-* attributes override single options
+ *   <span data-ascii-sprite="sun"></span>
+ *
+ *   AsciiSprite.define('flower', {
+ *       frames: { open: ['()'], closed: ['{}'] },
+ *       timeline: [['open', [2000, 5000]], ['closed', 400]]
+ *   });
+ *   new AsciiSprite(marker, AsciiSprite.sprites.flower).start();
+ *
+ * frames: name -> lines (array of strings, or one string with line breaks), all drawn from the marker's
+ *   row and column down. Every character overwrites the art except options.transparent (if set).
+ * timeline: [frameName, ms] pairs played in order and looped; ms may be a [min, max] range
+ *   picked on every pass (seeded by options.seed), so copies of one sprite drift out of step.
+ * Pauses while the tab is hidden and holds the first timeline frame under prefers-reduced-motion.
+ * destroy() / AsciiSprite.destroyAll() stop playback and put the original art back.
+ */
+
+// Utils is a global in the browser; require it when loaded under Node
+const AsciiSpriteUtils = typeof Utils !== 'undefined' ? Utils : require('./utils.js');
+
+class AsciiSprite {
+    /**
+     * @param {Element} marker - Element marking the sprite's top-left, inside a <pre>
+     * @param {Object} definition - {frames, timeline, transparent, seed}
+     */
+    constructor(marker, definition = {}) {
+        this.marker = marker;
+        this.pre = marker ? marker.closest('pre') : null;
+        this.frames = AsciiSprite.parseFrames(definition.frames || {});
+        this.timeline = definition.timeline || Object.keys(this.frames).map((name) => [name, 1000]);
+        this.transparent = definition.transparent || null;
+        this.random = AsciiSpriteUtils.createRandom(definition.seed !== undefined
+            ? definition.seed
+            : Math.floor(Math.random() * 4294967296));
+        this.position = null; // {row, col} of the marker in the <pre>
+        this.original = null; // Art under the sprite, restored by destroy()
+        this.step = 0; // Index into the timeline
+        this.timer = null;
+        this.paused = false;
+        this.visibilityHandler = null;
+        this.reducedMotionQuery = null;
+        this.reducedMotionHandler = null;
+        AsciiSprite.instances.add(this);
+    }
+
+    /**
+     * Add (or replace) a named sprite for data-ascii-sprite markers
+     * @param {string} name - Sprite name
+     * @param {Object} definition - {frames, timeline, transparent}
+     */
+    static define(name, definition) {
+        AsciiSprite.sprites[name] = definition;
+    }
+
+    /**
+     * Start one sprite per [data-ascii-sprite] marker. The attribute value names a sprite from
+     * AsciiSprite.define() or CONFIG.asciiSprites; data-ascii-sprite-* attributes override its options.
+     * @param {ParentNode} root - Document or element to scan
+     * @returns {AsciiSprite[]} Sprites that were started (markers that already have one are skipped)
+     */
+    static initAll(root = document) {
+        const configured = typeof CONFIG !== 'undefined' && CONFIG.asciiSprites ? CONFIG.asciiSprites : {};
+        const active = new Set(Array.from(AsciiSprite.instances, (sprite) => sprite.marker));
+        return Array.from(root.querySelectorAll('[data-ascii-sprite]')).filter((marker) => !active.has(marker)).map((marker) => {
+            const { preset, options } = AsciiSpriteUtils.readDataOptions(marker, 'asciiSprite');
+            const definition = AsciiSprite.sprites[preset] || configured[preset];
+            // Unknown sprites leave the art as it is
+            if (!definition) {
+                return null;
+            }
+            const sprite = new AsciiSprite(marker, { ...definition, ...options });
+            sprite.start();
+            return sprite;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Stop every sprite and restore the art under it
+     */
+    static destroyAll() {
+        Array.from(AsciiSprite.instances).forEach((sprite) => sprite.destroy());
+    }
+
+    /**
+     * Normalize frames to arrays of lines
+     * @param {Object} frames - name -> array of lines or a string with line breaks
+     * @returns {Object} name -> array of lines
+     */
+    static parseFrames(frames) {
+        const parsed = {};
+        Object.keys(frames).forEach((name) => {
+            const frame = frames[name];
+            parsed[name] = Array.isArray(frame) ? frame : String(frame).split('\n');
+        });
+        return parsed;
+    }
+
+    /**
+     * Map every character of a <pre> to the text node and offset that holds it, and find where an
+     * element sits in that grid (markup between characters takes up no columns)
+     * @param {Element} pre - The <pre>
+     * @param {Element} marker - Element inside it
+     * @returns {{cells: Map, row: number, col: number}} cells keyed "row:col" -> {node, index}
+     */
+    static mapGrid(pre, marker) {
+        const cells = new Map();
+        let row = 0;
+        let col = 0;
+        let position = null;
+        const walker = document.createTreeWalker(pre, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node === marker) {
+                position = { row, col };
+                continue;
+            }
+            if (node.nodeType !== Node.TEXT_NODE) {
+                continue;
+            }
+
+            const text = node.data;
+            for (let index = 0; index < text.length; index++) {
+                if (text[index] === '\n') {
+                    row++;
+                    col = 0;
+                } else {
+                    cells.set(`${row}:${col}`, { node, index });
+                    col++;
+                }
+            }
+        }
+        return { cells, ...(position || { row: -1, col: -1 }) };
+    }
+
+    /**
+     * Locate the marker, remember the art under the sprite, then play
+     */
+    start() {
+        if (!this.pre || this.original) {
+            return;
+        }
+
+        const grid = AsciiSprite.mapGrid(this.pre, this.marker);
+        this.cells = grid.cells;
+        this.position = { row: grid.row, col: grid.col };
+        this.original = this.readRegion();
+
+        this.visibilityHandler = () => this.updatePlayback();
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+        if (typeof window.matchMedia === 'function') {
+            this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.reducedMotionHandler = () => this.updatePlayback();
+            this.reducedMotionQuery.addEventListener('change', this.reducedMotionHandler);
+        }
+
+        this.showFrame(this.timeline[0][0]);
+        this.updatePlayback();
+    }
+
+    /**
+     * The art currently under the sprite's area (as many lines and columns as its largest frame)
+     */
+    readRegion() {
+        const names = Object.keys(this.frames);
+        const rows = Math.max(0, ...names.map((name) => this.frames[name].length));
+        const cols = Math.max(0, ...names.map((name) => Math.max(0, ...this.frames[name].map((line) => line.length))));
+        const lines = [];
+        for (let r = 0; r < rows; r++) {
+            let line = '';
+            for (let c = 0; c < cols; c++) {
+                const cell = this.cells.get(`${this.position.row + r}:${this.position.col + c}`);
+                // Past the end of a line: the transparent character, or a space that writes nothing
+                line += cell ? cell.node.data[cell.index] : (this.transparent || ' ');
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    /**
+     * Write one frame (or the saved original art) into the <pre>
+     * @param {string|string[]} frame - Frame name or lines
+     */
+    showFrame(frame) {
+        const lines = Array.isArray(frame) ? frame : this.frames[frame];
+        if (!lines) {
+            return;
+        }
+
+        lines.forEach((line, r) => {
+            for (let c = 0; c < line.length; c++) {
+                const char = line[c];
+                if (char === this.transparent) {
+                    continue;
+                }
+                const cell = this.cells.get(`${this.position.row + r}:${this.position.col + c}`);
+                if (cell && cell.node.data[cell.index] !== char) {
+                    cell.node.replaceData(cell.index, 1, char);
+                }
+            }
+        });
+    }
+
+    /**
+     * Show the current timeline frame, then wait its duration before the next one
+     */
+    playStep() {
+        const [name, duration] = this.timeline[this.step];
+        this.showFrame(name);
+        const ms = Array.isArray(duration)
+            ? duration[0] + this.random() * (duration[1] - duration[0])
+            : duration;
+        this.timer = setTimeout(() => {
+            this.step = (this.step + 1) % this.timeline.length;
+            this.playStep();
+        }, ms);
+    }
+
+    /**
+     * Play or hold depending on pause(), tab visibility and motion preference
+     */
+    updatePlayback() {
+        if (!this.original) {
+            return;
+        }
+
+        const reducedMotion = this.reducedMotionQuery && this.reducedMotionQuery.matches;
+        const shouldPlay = !this.paused && !document.hidden && !reducedMotion && this.timeline.length > 1;
+
+        if (shouldPlay && !this.timer) {
+            this.playStep();
+        } else if (!shouldPlay && this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        // Reduced motion holds the first frame rather than wherever the timeline stopped
+        if (reducedMotion && this.step !== 0) {
+            this.step = 0;
+            this.showFrame(this.timeline[0][0]);
+        }
+    }
+
+    /**
+     * Hold the current frame until resume()
+     */
+    pause() {
+        this.paused = true;
+        this.updatePlayback();
+    }
+
+    /**
+     * Continue the timeline after pause()
+     */
+    resume() {
+        this.paused = false;
+        this.updatePlayback();
+    }
+
+    /**
+     * Stop playing and put the original art back
+     */
+    destroy() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+        }
+        if (this.reducedMotionQuery) {
+            this.reducedMotionQuery.removeEventListener('change', this.reducedMotionHandler);
+        }
+        if (this.original) {
+            this.showFrame(this.original);
+            this.original = null;
+        }
+        AsciiSprite.instances.delete(this);
+    }
+}
+
+AsciiSprite.sprites = {};          // Sprites added with define(), checked before CONFIG.asciiSprites
+AsciiSprite.instances = new Set(); // Every playing sprite, for destroyAll()
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AsciiSprite;
+}
+
+// Initialize when DOM is ready (skipped under Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => AsciiSprite.initAll(document));
+}
@@ -33,19 +33,135 @@ const CONFIG = {
     
     // External links
     externalLinks: {
-        resume: 'https://docs.google.com/document/d/1BfO-WC4rHDQVzDeM3lUc8UpPWYbTF5OtAjGh4M7GQTg/edit?usp=sharing',
+        resume: 'resume.txt', // Built from src/data/cv.json (as is resume.json); relative to the site root
         github: 'https://github.com/merehuman',
         carbonCheck: 'https://www.websitecarbon.com/website/merehuman-live/'
     },
     
-    // Page routes
+    // Page routes, relative to the site root (src/ in the source tree). The build checks that each
+    // one exists; list a route in navigation below to put it in the sidebar menu.
     routes: {
         home: 'index.html',
-        info: 'info.html',
-        desktop: 'desktop.html',
-        storage: 'storage.html',
-        enter: 'enter.html',
-        notFound: '404.html'
+        info: 'pages/info.html',
+        cv: 'pages/cv.html',
+        desktop: 'pages/desktop.html',
+        storage: 'pages/storage.html',
+        enter: 'pages/enter.html',
+        notFound: 'pages/404.html'
+    },
+    
+    // Sidebar menu, top to bottom (rendered by js/site-nav.js). Each item names a route or an
+    // external link; currentLabel replaces the label on the page itself.
+    navigation: [
+        { route: 'home', label: 'go home...', currentLabel: 'welcome home...' },
+        { route: 'info', label: 'info' },
+        { route: 'cv', label: 'resume' },
+        { route: 'desktop', label: 'projects' },
+        { link: 'github', label: 'github' }
+    ],
+    
+    // Paint border presets, used as <el data-paint-border="name">
+    paintBorder: {
+        presets: {
+            // Wavy single-pixel frame around <main>
+            frame: {
+                mode: 'viewport',
+                pixelSize: 3,
+                thickness: 1,
+                randomness: 0.5,
+                clusterRandomness: true,
+                jitterAmount: 0.25,
+                shapeVariation: 0.15,
+                cornerRadius: 20
+            },
+            // Project titles and CV section headers: solid --color-text box,
+            // edge in --color-background so it reads on the inverted chip
+            chip: {
+                mode: 'element',
+                pixelSize: 3,
+                thickness: 1,
+                randomness: 0.72,
+                clusterRandomness: true,
+                jitterAmount: 0.42,
+                shapeVariation: 0.38,
+                cornerRadius: 8,
+                color: 'var(--color-background, #2e0901)',
+                fill: 'solid',
+                fillColor: 'var(--color-text, #ff0000)',
+                // Gray while a project title's link is hovered or focused
+                hoverFillColor: 'var(--color-accent, #7b7b7b)',
+                hoverTarget: '.project-header-link'
+            }
+        }
+    },
+    
+    // Smoke emitter presets, used as <span class="smoke" data-smoke="name">
+    smoke: {
+        presets: {
+            // Gray chimney smoke drifting left on the home page
+            chimney: {
+                chars: [';', ':', '.'],
+                color: '#7b7b7b',
+                windSpeed: -0.02,
+                clumpSize: [3, 5],
+                clumpSpawnInterval: 100,
+                clumpPause: [1000, 2000]
+            },
+            // Thin wisps of steam from a mug, drifting right
+            steam: {
+                chars: ['~', '\'', '.'],
+                color: 'var(--color-text, #ff0000)',
+                windSpeed: 0.01,
+                riseSpeed: 0.04,
+                clumpSize: [1, 3],
+                clumpSpawnInterval: 250,
+                clumpPause: [2500, 4000]
+            }
+        }
+    },
+
+    // ASCII effect presets, used as <pre class="ascii" data-ascii-effect="name">
+    // (area is [column, row, columns, rows] of the ASCII art)
+    asciiEffects: {
+        presets: {
+            // Rain behind the panes of the window on the enter page
+            'window-rain': {
+                behavior: 'rain',
+                area: [56, 1, 14, 5],
+                rate: 12
+            },
+            // Leaves drifting down over the storage shed and its yard
+            'yard-leaves': {
+                behavior: 'leaves',
+                area: [0, 0, 67, 23],
+                wind: 0.1
+            },
+            // Fireflies over the grass below the info sign
+            'meadow-fireflies': {
+                behavior: 'fireflies',
+                area: [0, 22, 86, 6]
+            }
+        }
+    },
+
+    // Frame animations for <span data-ascii-sprite="name"></span> markers (see js/ascii-sprites.js)
+    asciiSprites: {
+        // The sun on the index page: rays turn now and then, the (!) link stays put
+        sun: {
+            frames: {
+                rays: ['  \\_/  ', '--(!)--', '  / \\  '],
+                turn: ['  \\|/  ', ' -(!)- ', '  /|\\  ']
+            },
+            timeline: [['rays', [2500, 4000]], ['turn', 600]]
+        },
+        // Flowers in the grass, each on its own random beat
+        flower: {
+            frames: {
+                open: ['()'],
+                sway: [')(']
+            },
+            timeline: [['open', [3000, 9000]], ['sway', [300, 700]]]
+        }
     }
 };
 
@@ -42,9 +42,6 @@ class PortfolioApp {
             // Add performance monitoring
             this.setupPerformanceMonitoring();
 
-            // Add smoke animation
-            this.setupSmokeAnimation();
-
         } catch (error) {
             console.error('Error setting up event listeners:', error);
         }
@@ -87,37 +84,6 @@ class PortfolioApp {
             }
         });
     }
-
-    setupSmokeAnimation() {
-        // Only run on index page
-        if (window.location.pathname.endsWith('index.html') || window.location.pathname.endsWith('/')) {
-            const smoke1 = document.getElementById('smoke1');
-            const smoke2 = document.getElementById('smoke2');
-            const smoke3 = document.getElementById('smoke3');
-            const smoke4 = document.getElementById('smoke4');
-            const smoke5 = document.getElementById('smoke5');
-            
-            if (smoke1 && smoke2 && smoke3 && smoke4 && smoke5) {
-                const smokeChars1 = ['.', "'"]; // For smoke1 and smoke3
-                const smokeChars2 = [':', '.']; // For smoke2, smoke4, and smoke5
-                let currentFrame = 0;
-                
-                setInterval(() => {
-                    const currentChar1 = smokeChars1[currentFrame];
-                    const currentChar2 = smokeChars2[currentFrame];
-                    const oppositeChar1 = smokeChars1[(currentFrame + 1) % smokeChars1.length];
-                    
-                    smoke1.textContent = currentChar1;
-                    smoke2.textContent = currentChar2;
-                    smoke3.textContent = oppositeChar1;
-                    smoke4.textContent = currentChar2;
-                    smoke5.textContent = currentChar2;
-                    
-                    currentFrame = (currentFrame + 1) % smokeChars1.length;
-                }, 2000); // Change every 2000ms
-            }
-        }
-    }
 }
 
 // Initialize the application
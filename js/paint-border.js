@@ -7,9 +7,47 @@
  *   const border = new PaintBorder(element, options);
  *   border.draw();
  *
+ *   // Headless (no DOM): list of {x, y, w, h} pixel rectangles for the same shape
+ *   const pixels = PaintBorder.computePixels({ x: 0, y: 0, width: 200, height: 100 }, options);
+ *
+ *   // Declarative: picked up on DOMContentLoaded, and later by a MutationObserver
+ *   <main data-paint-border="frame">            (preset from CONFIG.paintBorder.presets)
+ *   <b data-paint-border data-paint-border-corner-radius="8">   (per-option attributes)
+ *   Preset and attribute colors may be "var(--css-property)".
+ *
  * options.mode: 'viewport' (default, full-page frame) | 'element' (single box overlay)
+ * options.renderer: 'canvas' (default) | 'svg' (inline <svg> of <rect>s — crisp under zoom and in print)
+ *   The canvas backing store is scaled by devicePixelRatio and redrawn when the ratio changes.
+ * options.shape: 'rect' (default) | [{x, y}, ...] polyline | SVG path string ("M0 0 L40 10 ... Z").
+ *   Points are relative to the border rect's top-left; options.closed: true joins a polyline into a polygon.
+ * options.fill: 'none' (default) | 'solid' | 'dither' | 'hatch' | 'spray' — MS Paint style interior in fillColor,
+ *   drawn under the stroke so it lines up with the jittery edge (hatchSpacing / sprayDensity tune the patterns).
+ *   options.hoverFillColor repaints the fill while the element (or its closest options.hoverTarget ancestor)
+ *   is hovered or has keyboard focus.
+ * options.sides / options.corners: per-side and per-corner overrides ({color, thickness, lineStyle}, corners
+ *   also {radius}); false turns one off, e.g. sides: {top: false, left: false, right: false} is an underline.
+ *   cornerRadius also accepts {topLeft, topRight, bottomRight, bottomLeft}.
+ * options.lineStyle: 'solid' (default) | 'dashed' (dashLength / gapLength pixels) | 'dotted'.
+ * Resizes, zoom and devicePixelRatio changes are handled by one shared PaintBorder.manager,
+ * which batches redraws into a single animation frame and skips offscreen element borders.
+ * PaintBorder.destroyAll() removes every border on the page.
+ *
+ * After every draw and every resize redraw the element gets a bubbling 'paintborder:drawn' CustomEvent,
+ * event.detail = { border, outline } with outline shaped like getOutline()'s but built from the layout the
+ * draw already measured, so effects that follow the frame (SmokeAnimation) can start and re-measure
+ * without guessing when drawing is done, and without another layout read.
+ *
+ * options.boil: true cycles boilFrames pre-generated jitter frames every boilInterval ms ("line boil").
+ *   Pauses while the tab is hidden and stays on the first frame under prefers-reduced-motion.
+ * options.seed: number | string — same seed, size and options always draw the same pixels.
+ *   When omitted a seed is picked once per instance, so resizes keep the same shape.
  */
 
+// Utils is a global in the browser; require it when loaded under Node
+const PaintBorderUtils = typeof Utils !== 'undefined' ? Utils : require('./utils.js');
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
 class PaintBorder {
     constructor(element, options = {}) {
         this.element = typeof element === 'string' ? document.querySelector(element) : element;
@@ -18,36 +56,969 @@ class PaintBorder {
             throw new Error('Element not found');
         }
 
-        // Get border color from CSS variable if not explicitly provided
-        const getBorderColor = () => {
-            if (options.color) {
-                return options.color; // Use explicitly provided color
-            }
-            // Try to get color from CSS variable
-            const root = document.documentElement;
-            const cssColor = getComputedStyle(root).getPropertyValue('--paint-border-color').trim();
-            return cssColor || '#ffffff'; // Fallback to white if CSS variable not found
+        // Get border color from CSS variable if not explicitly provided
+        const getBorderColor = () => {
+            if (options.color) {
+                return PaintBorder.resolveColor(options.color); // Use explicitly provided color
+            }
+            // Try to get color from CSS variable
+            const root = document.documentElement;
+            const cssColor = getComputedStyle(root).getPropertyValue('--paint-border-color').trim();
+            return cssColor || '#ffffff'; // Fallback to white if CSS variable not found
+        };
+
+        // Default options
+        this.options = {
+            ...PaintBorder.resolveOptions(options),
+            color: getBorderColor()                      // Border color from CSS variable or option
+        };
+        if (this.options.fillColor) {
+            this.options.fillColor = PaintBorder.resolveColor(this.options.fillColor);
+        }
+        if (this.options.hoverFillColor) {
+            this.options.hoverFillColor = PaintBorder.resolveColor(this.options.hoverFillColor);
+        }
+        this.options.sides = PaintBorder.resolveStrokeColors(this.options.sides);
+        this.options.corners = PaintBorder.resolveStrokeColors(this.options.corners);
+
+        this.surface = null;  // <canvas> or <svg> overlay, depending on options.renderer
+        this.canvas = null;
+        this.ctx = null;
+        this.pixelRatio = 1;         // Device pixels per CSS pixel of the canvas backing store
+        this.surfaceSize = null;     // Last {width, height} applied to the surface, in CSS pixels
+        this.pixels = [];
+        this.frames = [];            // Pre-generated pixel lists (more than one when boiling)
+        this.frameIndex = 0;
+        this.boilTimer = null;
+        this.reducedMotionQuery = null;
+        this.hoverTarget = null;     // Element whose hover / focus swaps in hoverFillColor
+        this.hovered = false;
+    }
+
+    /**
+     * Fill in default shape options (no DOM access, safe to call under Node)
+     */
+    static resolveOptions(options = {}) {
+        return {
+            mode: options.mode || 'viewport',
+            renderer: options.renderer || 'canvas',       // 'canvas' | 'svg'
+            pixelSize: options.pixelSize || 4,           // Size of each pixel in the border
+            thickness: options.thickness || 1,          // Border thickness in pixels
+            randomness: options.randomness || 0.3,      // How "hand-drawn" it looks (0-1)
+            padding: options.padding || 0,              // Padding inside the border
+            shapeVariation: options.shapeVariation || 0.2, // Variation in pixel shapes (0-1)
+            clusterRandomness: options.clusterRandomness || false, // Cluster random pixels
+            jitterAmount: options.jitterAmount || 0.15, // Amount of jitter per pixel (0-1)
+            cornerRadius: options.cornerRadius || 15,   // Corner radius in pixels (0 = sharp corners)
+            shape: options.shape || 'rect',             // 'rect' | point array | SVG path string
+            closed: options.closed || false,            // Close a point-array shape into a polygon
+            fill: options.fill || 'none',               // 'none' | 'solid' | 'dither' | 'hatch' | 'spray'
+            hatchSpacing: options.hatchSpacing || 3,    // Pixels between diagonal hatch lines
+            sprayDensity: options.sprayDensity || 0.35, // Share of interior pixels the spray can hits (0-1)
+            sides: options.sides || {},                 // {top, right, bottom, left}: false | {color, thickness, lineStyle}
+            corners: options.corners || {},             // {topLeft, ...}: false | {radius, color, thickness, lineStyle}
+            lineStyle: options.lineStyle || 'solid',    // 'solid' | 'dashed' | 'dotted'
+            dashLength: options.dashLength || 4,        // Pixels per dash
+            gapLength: options.gapLength || 3,          // Pixels per gap between dashes
+            boil: options.boil || false,                // Cycle jitter frames for a hand-drawn "line boil"
+            boilFrames: options.boilFrames || 3,        // Number of pre-generated frames to cycle
+            boilInterval: options.boilInterval || 150,  // Time per frame in ms
+            ...options,
+            seed: options.seed !== undefined ? options.seed : Math.floor(Math.random() * 4294967296) // PRNG seed
+        };
+    }
+
+    /**
+     * Compute the border as pixel rectangles without drawing anything
+     * Interior fill pixels come first and carry their own color (options.fillColor)
+     * @param {{x: number, y: number, width: number, height: number}} rect - Border rectangle
+     * @param {Object} options - Same shape options as the constructor
+     * @returns {Array<{x: number, y: number, w: number, h: number, color?: string}>} Pixel rectangles
+     */
+    static computePixels(rect, options = {}) {
+        return PaintBorder.traceShape(rect, options).pixels;
+    }
+
+    /**
+     * Trace a rectangle and keep the shape: its pixels plus the corners it resolved
+     * @returns {PaintBorderShape}
+     */
+    static traceShape(rect, options = {}) {
+        const shape = new PaintBorderShape(PaintBorder.resolveOptions(options));
+        shape.trace(rect);
+        return shape;
+    }
+
+    /**
+     * Compute the boil frames for a rectangle: frame 0 uses the seed itself,
+     * later frames derive their seeds from it, so the whole cycle is reproducible
+     * @param {Array} first - Frame 0 when it has been traced already
+     * @returns {Array<Array<{x: number, y: number, w: number, h: number}>>} One pixel list per frame
+     */
+    static computeFrames(rect, options = {}, first = null) {
+        const resolved = PaintBorder.resolveOptions(options);
+        const frames = first ? [first] : [];
+        for (let i = frames.length; i < Math.max(1, resolved.boilFrames); i++) {
+            const seed = i === 0 ? resolved.seed : `${resolved.seed}:${i}`;
+            frames.push(PaintBorder.computePixels(rect, { ...resolved, seed }));
+        }
+        return frames;
+    }
+
+    /**
+     * Serialize pixel rectangles as a standalone SVG document (e.g. to save as a static asset)
+     * @param {Array<{x: number, y: number, w: number, h: number}>} pixels - Output of computePixels()
+     * @param {{width: number, height: number, color: string}} options - Canvas size and fill color
+     * @returns {string} SVG markup
+     */
+    static toSVG(pixels, { width, height, color = '#ffffff' }) {
+        const rects = pixels
+            .map((p) => `<rect x="${p.x}" y="${p.y}" width="${p.w}" height="${p.h}"${p.color ? ` fill="${p.color}"` : ''}/>`)
+            .join('');
+        return `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges"><g fill="${color}">${rects}</g></svg>`;
+    }
+
+    /**
+     * Shared manager for resize / zoom redraws (created on first use)
+     * @returns {PaintBorderManager}
+     */
+    static get manager() {
+        if (!PaintBorder.sharedManager) {
+            PaintBorder.sharedManager = new PaintBorderManager();
+        }
+        return PaintBorder.sharedManager;
+    }
+
+    /**
+     * Remove every registered border and its listeners
+     */
+    static destroyAll() {
+        if (PaintBorder.mutationObserver) {
+            PaintBorder.mutationObserver.disconnect();
+            PaintBorder.mutationObserver = null;
+        }
+        if (PaintBorder.sharedManager) {
+            PaintBorder.sharedManager.destroyAll();
+        }
+        PaintBorder.instances = new WeakMap();
+    }
+
+    /**
+     * Resolve a "var(--name, fallback)" color against the document root
+     * so presets in CONFIG can follow the site's CSS custom properties
+     * @param {string} color - Plain CSS color or var() reference
+     * @returns {string} Color usable on canvas / SVG
+     */
+    static resolveColor(color) {
+        return PaintBorderUtils.resolveCSSValue(color) || '#ffffff';
+    }
+
+    /**
+     * Resolve the colors of per-side / per-corner overrides the same way as the main color
+     * @param {Object} overrides - options.sides or options.corners
+     * @returns {Object} Copy with every override's color resolved
+     */
+    static resolveStrokeColors(overrides) {
+        const resolved = {};
+        Object.keys(overrides || {}).forEach((name) => {
+            const override = overrides[name];
+            resolved[name] = override && typeof override === 'object' && override.color
+                ? { ...override, color: PaintBorder.resolveColor(override.color) }
+                : override;
+        });
+        return resolved;
+    }
+
+    /**
+     * Read options for a [data-paint-border] element.
+     * The attribute value names a preset in CONFIG.paintBorder.presets; any
+     * data-paint-border-* attribute overrides one option, e.g.
+     * data-paint-border-pixel-size="3" or data-paint-border-sides='{"top": false}'.
+     * @param {Element} element - Element carrying data-paint-border
+     * @returns {Object} PaintBorder options
+     */
+    static readOptions(element) {
+        const { preset: presetName, options } = PaintBorderUtils.readDataOptions(element, 'paintBorder');
+        const presets = typeof CONFIG !== 'undefined' && CONFIG.paintBorder ? CONFIG.paintBorder.presets : {};
+        // An unknown preset name falls back to the default options
+        const preset = presetName && presets && presets[presetName] ? presets[presetName] : {};
+
+        // Marking an element means bordering that element unless a preset says otherwise
+        return { mode: 'element', ...preset, ...options };
+    }
+
+    /**
+     * Draw borders for every [data-paint-border] element in root (root included)
+     * that does not have one yet
+     * @param {ParentNode} root - Document or element to scan
+     */
+    static init(root = document) {
+        const elements = Array.from(root.querySelectorAll('[data-paint-border]'));
+        if (root.matches && root.matches('[data-paint-border]')) {
+            elements.unshift(root);
+        }
+        elements.forEach((element) => {
+            if (PaintBorder.instances.has(element)) {
+                return;
+            }
+            try {
+                const border = new PaintBorder(element, PaintBorder.readOptions(element));
+                PaintBorder.instances.set(element, border);
+                border.draw();
+            } catch (e) {
+                // A border that cannot be drawn leaves its element undecorated
+            }
+        });
+    }
+
+    /**
+     * Remove borders drawn by init() for root and its descendants
+     * @param {Element} root - Element leaving the page
+     */
+    static teardown(root) {
+        const elements = Array.from(root.querySelectorAll('[data-paint-border]'));
+        elements.unshift(root);
+        elements.forEach((element) => {
+            const border = PaintBorder.instances.get(element);
+            if (!border) {
+                return;
+            }
+            border.remove();
+            PaintBorder.instances.delete(element);
+        });
+    }
+
+    /**
+     * Watch root for [data-paint-border] elements being added or removed
+     * @param {Node} root - Subtree to observe (usually document.body)
+     */
+    static observe(root = document.body) {
+        if (PaintBorder.mutationObserver || typeof MutationObserver === 'undefined') {
+            return;
+        }
+        PaintBorder.mutationObserver = new MutationObserver((mutations) => {
+            mutations.forEach((mutation) => {
+                mutation.removedNodes.forEach((node) => {
+                    // Moved nodes show up as removed and added; only drop ones that really left
+                    if (node.nodeType === 1 && !node.isConnected) {
+                        PaintBorder.teardown(node);
+                    }
+                });
+                mutation.addedNodes.forEach((node) => {
+                    if (node.nodeType === 1 && node.isConnected) {
+                        PaintBorder.init(node);
+                    }
+                });
+            });
+        });
+        PaintBorder.mutationObserver.observe(root, { childList: true, subtree: true });
+    }
+
+    /**
+     * Pick a new seed (or a random one) and redraw with the new shape
+     */
+    reseed(seed = Math.floor(Math.random() * 4294967296)) {
+        this.options.seed = seed;
+        if (this.surface) {
+            this.drawBorder();
+        }
+    }
+
+    /**
+     * Initialize and draw the border
+     */
+    draw() {
+        if (!this.element) {
+            return;
+        }
+
+        // Remove existing border if present
+        this.remove();
+
+        // Create canvas (or svg) overlay
+        this.createCanvas();
+        this.origin = this.measureOrigin();
+        
+        // Draw the pixelated border
+        this.drawBorder();
+
+        // Redraw on resize, zoom and pixel ratio changes
+        PaintBorder.manager.register(this);
+
+        if (this.options.boil) {
+            this.setupBoil();
+        }
+        if (this.options.hoverFillColor && this.options.fillColor) {
+            this.setupHover();
+        }
+    }
+
+    /**
+     * Follow prefers-reduced-motion and tab visibility for the boil animation
+     */
+    setupBoil() {
+        this.visibilityHandler = () => this.updateBoil();
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+
+        if (typeof window.matchMedia === 'function') {
+            this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.reducedMotionHandler = () => this.updateBoil();
+            this.reducedMotionQuery.addEventListener('change', this.reducedMotionHandler);
+        }
+
+        this.updateBoil();
+    }
+
+    /**
+     * Start or stop cycling frames depending on visibility and motion preference
+     */
+    updateBoil() {
+        const reducedMotion = this.reducedMotionQuery && this.reducedMotionQuery.matches;
+        const shouldRun = this.surface && !document.hidden && !reducedMotion;
+
+        if (shouldRun && !this.boilTimer) {
+            this.boilTimer = setInterval(() => this.nextFrame(), this.options.boilInterval);
+        } else if (!shouldRun && this.boilTimer) {
+            clearInterval(this.boilTimer);
+            this.boilTimer = null;
+        }
+
+        // Reduced motion holds the first frame rather than wherever the cycle stopped
+        if (reducedMotion && this.frameIndex !== 0) {
+            this.frameIndex = 0;
+            this.pixels = this.frames[0];
+            this.paintPixels();
+        }
+    }
+
+    /**
+     * Show the next pre-generated boil frame
+     */
+    nextFrame() {
+        if (this.frames.length < 2) {
+            return;
+        }
+        this.frameIndex = (this.frameIndex + 1) % this.frames.length;
+        this.pixels = this.frames[this.frameIndex];
+        this.paintPixels();
+    }
+
+    /**
+     * Stop the boil animation and its listeners
+     */
+    teardownBoil() {
+        if (this.boilTimer) {
+            clearInterval(this.boilTimer);
+            this.boilTimer = null;
+        }
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+            this.visibilityHandler = null;
+        }
+        if (this.reducedMotionQuery) {
+            this.reducedMotionQuery.removeEventListener('change', this.reducedMotionHandler);
+            this.reducedMotionQuery = null;
+            this.reducedMotionHandler = null;
+        }
+    }
+
+    /**
+     * Repaint the fill in hoverFillColor while the hover target is hovered or keyboard focused
+     */
+    setupHover() {
+        const selector = this.options.hoverTarget;
+        this.hoverTarget = selector ? this.element.closest(selector) : this.element;
+        if (!this.hoverTarget) {
+            return;
+        }
+
+        this.hoverHandler = () => this.updateHover();
+        ['pointerenter', 'pointerleave', 'focusin', 'focusout'].forEach((type) => {
+            this.hoverTarget.addEventListener(type, this.hoverHandler);
+        });
+        this.updateHover();
+    }
+
+    /**
+     * Follow the hover target's :hover / :focus-visible state
+     */
+    updateHover() {
+        const target = this.hoverTarget;
+        const hovered = Boolean(target && (target.matches(':hover') || target.matches(':focus-visible')));
+        if (hovered !== this.hovered) {
+            this.hovered = hovered;
+            this.paintPixels();
+        }
+    }
+
+    /**
+     * Remove the hover listeners
+     */
+    teardownHover() {
+        if (this.hoverTarget && this.hoverHandler) {
+            ['pointerenter', 'pointerleave', 'focusin', 'focusout'].forEach((type) => {
+                this.hoverTarget.removeEventListener(type, this.hoverHandler);
+            });
+        }
+        this.hoverTarget = null;
+        this.hoverHandler = null;
+        this.hovered = false;
+    }
+
+    /**
+     * Measure the surface size and border rectangle (layout reads only, no writes)
+     * @returns {{width: number, height: number, rect: {x: number, y: number, width: number, height: number}, origin: Object}}
+     */
+    measure() {
+        if (this.options.mode === 'element') {
+            const w = Math.max(1, Math.round(this.element.offsetWidth));
+            const h = Math.max(1, Math.round(this.element.offsetHeight));
+            return { width: w, height: h, rect: { x: 0, y: 0, width: w, height: h }, origin: this.measureOrigin() };
+        }
+
+        // Use viewport dimensions for border (fixed to viewport, not content)
+        const viewportWidth = window.innerWidth;
+        const viewportHeight = window.innerHeight;
+
+        // Get margin value from CSS (defaults to 1rem = 16px if not found)
+        const root = document.documentElement;
+        const marginValue = getComputedStyle(root).getPropertyValue('--spacing-md').trim() || '1rem';
+        const marginPx = parseFloat(marginValue) * (marginValue.includes('rem') ? 16 : 1);
+
+        // Border dimensions match viewport minus margins; canvas size matches viewport
+        return {
+            width: viewportWidth,
+            height: viewportHeight,
+            rect: {
+                x: marginPx,
+                y: marginPx,
+                width: viewportWidth - (marginPx * 2),
+                height: viewportHeight - (marginPx * 2)
+            },
+            origin: this.measureOrigin()
+        };
+    }
+
+    /**
+     * Page position of the surface's top-left corner (a layout read), null before it exists
+     * @returns {{x: number, y: number}|null}
+     */
+    measureOrigin() {
+        if (!this.surface) {
+            return null;
+        }
+        const bounds = this.surface.getBoundingClientRect();
+        return {
+            x: bounds.left + (window.pageXOffset || document.documentElement.scrollLeft),
+            y: bounds.top + (window.pageYOffset || document.documentElement.scrollTop)
+        };
+    }
+
+    /**
+     * Border outline in page coordinates: the rectangle the pixels are traced around and its
+     * corner radii (0 where a corner isn't drawn), so other effects can follow the frame.
+     * Measures the surface's position; 'paintborder:drawn' events carry one built from the last layout.
+     * @returns {{x: number, y: number, width: number, height: number, radii: Object}|null} null before draw()
+     */
+    getOutline() {
+        if (!this.surface || !this.borderRect) {
+            return null;
+        }
+        return this.outlineAt(this.measureOrigin());
+    }
+
+    /**
+     * Outline for a known surface origin, from the corners of the last draw (no layout reads)
+     * @param {{x: number, y: number}} origin - Page position of the surface
+     */
+    outlineAt(origin) {
+        if (!origin || !this.borderRect) {
+            return null;
+        }
+
+        const corners = this.corners || {};
+        const radii = {};
+        ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'].forEach((name) => {
+            radii[name] = corners[name] ? corners[name].radius : 0;
+        });
+
+        return {
+            x: origin.x + this.borderRect.x,
+            y: origin.y + this.borderRect.y,
+            width: this.borderRect.width,
+            height: this.borderRect.height,
+            radii
+        };
+    }
+
+    /**
+     * Apply a measured layout and redraw (layout writes only)
+     * Skips the redraw when neither the size nor the pixel ratio changed
+     */
+    update(layout = this.measure()) {
+        if (!this.surface) {
+            return;
+        }
+        this.origin = layout.origin;
+
+        const unchanged = this.surfaceSize &&
+            this.surfaceSize.width === layout.width &&
+            this.surfaceSize.height === layout.height &&
+            (!this.canvas || this.pixelRatio === PaintBorderUtils.getPixelRatio());
+        if (unchanged) {
+            return;
+        }
+
+        this.resizeSurface(layout.width, layout.height);
+        this.borderRect = layout.rect;
+        this.drawBorder();
+    }
+
+    /**
+     * Create the drawing surface for the configured renderer
+     * Sets this.surface; canvas renderer also sets this.canvas / this.ctx
+     */
+    createSurface(className, width, height) {
+        if (this.options.renderer === 'svg') {
+            this.surface = document.createElementNS(SVG_NS, 'svg');
+            this.surface.setAttribute('class', className.replace(/paint-border-canvas/g, 'paint-border-svg'));
+            this.surface.setAttribute('shape-rendering', 'crispEdges');
+        } else {
+            this.canvas = document.createElement('canvas');
+            this.canvas.className = className;
+            // Note: Pixelated rendering is handled by CSS image-rendering property
+            this.ctx = this.canvas.getContext('2d');
+            this.surface = this.canvas;
+        }
+        this.surface.setAttribute('aria-hidden', 'true');
+        this.resizeSurface(width, height);
+        return this.surface;
+    }
+
+    /**
+     * Match the surface to a new size in CSS pixels
+     * Canvas backing store is width/height * devicePixelRatio so lines stay sharp on high-DPI screens
+     */
+    resizeSurface(width, height) {
+        if (this.options.renderer === 'svg') {
+            this.surface.setAttribute('width', width);
+            this.surface.setAttribute('height', height);
+            this.surface.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        } else {
+            this.pixelRatio = PaintBorderUtils.getPixelRatio();
+            const backingWidth = Math.round(width * this.pixelRatio);
+            const backingHeight = Math.round(height * this.pixelRatio);
+            if (this.canvas.width !== backingWidth || this.canvas.height !== backingHeight) {
+                this.canvas.width = backingWidth;
+                this.canvas.height = backingHeight;
+            }
+        }
+        this.surface.style.width = `${width}px`;
+        this.surface.style.height = `${height}px`;
+        this.surfaceSize = { width, height };
+    }
+
+    /**
+     * Create a canvas overlay positioned over the element
+     */
+    createCanvas() {
+        if (this.options.mode === 'element') {
+            this.createElementCanvas();
+            return;
+        }
+
+        const layout = this.measure();
+
+        // Create canvas (or svg) element, sized to the viewport
+        const surface = this.createSurface('paint-border-canvas', layout.width, layout.height);
+        surface.style.position = 'fixed'; // Fixed to viewport
+        surface.style.pointerEvents = 'none';
+        surface.style.zIndex = '1000';
+        surface.style.left = '0';
+        surface.style.top = '0';
+
+        // Append to body
+        document.body.appendChild(surface);
+
+        // Store border dimensions (viewport-based, not element-based)
+        this.borderRect = layout.rect;
+    }
+
+    /**
+     * Canvas sized to one element (absolute overlay; same draw logic as viewport border)
+     */
+    createElementCanvas() {
+        const el = this.element;
+        const layout = this.measure();
+
+        const surface = this.createSurface('paint-border-canvas paint-border-canvas--element', layout.width, layout.height);
+        surface.style.position = 'absolute';
+        surface.style.left = '0';
+        surface.style.top = '0';
+        surface.style.pointerEvents = 'none';
+        surface.style.zIndex = '0';
+
+        // A filled box replaces the element's CSS background, so it sits behind the text
+        if (this.options.fill !== 'none') {
+            surface.style.zIndex = '-1';
+            el.classList.add('paint-border--filled');
+        }
+
+        el.insertBefore(surface, el.firstChild);
+
+        this.borderRect = layout.rect;
+    }
+
+    /**
+     * Draw the pixelated border
+     */
+    drawBorder() {
+        if (!this.surface || !this.borderRect) {
+            return;
+        }
+
+        // Same seed -> same pixels on every draw and resize
+        const shape = PaintBorder.traceShape(this.borderRect, this.options);
+        this.corners = shape.corners;
+        this.frames = this.options.boil
+            ? PaintBorder.computeFrames(this.borderRect, this.options, shape.pixels)
+            : [shape.pixels];
+        this.frameIndex = this.frameIndex % this.frames.length;
+        this.pixels = this.frames[this.frameIndex];
+
+        this.paintPixels();
+        this.dispatchDrawn();
+    }
+
+    /**
+     * Announce a finished draw (not boil frames, the outline doesn't move between those)
+     */
+    dispatchDrawn() {
+        if (typeof CustomEvent !== 'function') {
+            return;
+        }
+        this.element.dispatchEvent(new CustomEvent('paintborder:drawn', {
+            bubbles: true,
+            detail: { border: this, outline: this.outlineAt(this.origin) }
+        }));
+    }
+
+    /**
+     * Color of one pixel: its own (fill, side or corner) or the stroke color,
+     * with the fill swapped for hoverFillColor while hovered
+     */
+    colorOf(pixel) {
+        if (this.hovered && pixel.color === this.options.fillColor) {
+            return this.options.hoverFillColor;
+        }
+        return pixel.color || this.options.color;
+    }
+
+    /**
+     * Paint the current pixel list onto the surface
+     */
+    paintPixels() {
+        if (!this.surface) {
+            return;
+        }
+
+        if (this.options.renderer === 'svg') {
+            this.drawSvgPixels();
+            return;
+        }
+
+        // Clear canvas
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Set fill color
+        const baseColor = this.options.color;
+        let currentColor = baseColor;
+        this.ctx.fillStyle = baseColor;
+
+        // Snap both edges of every pixel to whole device pixels: fractional ratios
+        // (1.25, 1.5) would otherwise antialias the pixel-art grid
+        const ratio = this.pixelRatio;
+        for (let i = 0; i < this.pixels.length; i++) {
+            const pixel = this.pixels[i];
+            const color = this.colorOf(pixel);
+            if (color !== currentColor) {
+                this.ctx.fillStyle = color;
+                currentColor = color;
+            }
+            const left = Math.round(pixel.x * ratio);
+            const top = Math.round(pixel.y * ratio);
+            this.ctx.fillRect(
+                left,
+                top,
+                Math.max(1, Math.round((pixel.x + pixel.w) * ratio) - left),
+                Math.max(1, Math.round((pixel.y + pixel.h) * ratio) - top)
+            );
+        }
+    }
+
+    /**
+     * Replace the svg contents with one <rect> per pixel
+     */
+    drawSvgPixels() {
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('fill', this.options.color);
+
+        for (let i = 0; i < this.pixels.length; i++) {
+            const pixel = this.pixels[i];
+            const rect = document.createElementNS(SVG_NS, 'rect');
+            rect.setAttribute('x', pixel.x);
+            rect.setAttribute('y', pixel.y);
+            rect.setAttribute('width', pixel.w);
+            rect.setAttribute('height', pixel.h);
+            const color = this.colorOf(pixel);
+            if (color !== this.options.color) {
+                rect.setAttribute('fill', color);
+            }
+            group.appendChild(rect);
+        }
+
+        this.surface.replaceChildren(group);
+    }
+
+    /**
+     * Remove the border
+     */
+    remove() {
+        if (this.surface && this.surface.parentNode) {
+            this.surface.parentNode.removeChild(this.surface);
+        }
+        if (PaintBorder.sharedManager) {
+            PaintBorder.sharedManager.unregister(this);
+        }
+        this.teardownBoil();
+        this.teardownHover();
+        if (this.options.mode === 'element') {
+            this.element.classList.remove('paint-border--filled');
+        }
+        this.surface = null;
+        this.surfaceSize = null;
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    /**
+     * Redraw the border (useful after element size changes)
+     */
+    redraw() {
+        this.remove();
+        this.draw();
+    }
+}
+
+// Shared PaintBorderManager, created on first use by PaintBorder.manager
+PaintBorder.sharedManager = null;
+PaintBorder.instances = new WeakMap();         // Element -> border drawn from data-paint-border
+PaintBorder.mutationObserver = null;
+/**
+ * One set of listeners for every PaintBorder on the page: a single window resize listener,
+ * ResizeObserver, IntersectionObserver and devicePixelRatio watcher. Redraws are batched into
+ * one animation frame (all measurements first, then all drawing) and element borders that are
+ * offscreen wait until they scroll into view.
+ */
+class PaintBorderManager {
+    constructor() {
+        this.borders = new Set();
+        this.elementBorders = new Map(); // element -> Set of element-mode borders on it
+        this.dirty = new Set();          // Borders to redraw on the next frame
+        this.offscreen = new Set();      // Elements currently outside the viewport (plus margin)
+        this.frame = null;
+
+        this.resizeHandler = () => this.invalidateAll();
+        window.addEventListener('resize', this.resizeHandler);
+
+        this.resizeObserver = typeof ResizeObserver !== 'undefined'
+            ? new ResizeObserver((entries) => entries.forEach((entry) => this.invalidateElement(entry.target)))
+            : null;
+
+        this.intersectionObserver = typeof IntersectionObserver !== 'undefined'
+            ? new IntersectionObserver((entries) => this.handleIntersections(entries), { rootMargin: '200px' })
+            : null;
+
+        this.pixelRatioQuery = null;
+        this.watchPixelRatio();
+    }
+
+    /**
+     * Start tracking a drawn border
+     */
+    register(border) {
+        this.borders.add(border);
+        if (border.options.mode !== 'element') {
+            return;
+        }
+
+        const el = border.element;
+        if (!this.elementBorders.has(el)) {
+            this.elementBorders.set(el, new Set());
+            if (this.resizeObserver) {
+                this.resizeObserver.observe(el);
+            }
+            if (this.intersectionObserver) {
+                this.intersectionObserver.observe(el);
+            }
+        }
+        this.elementBorders.get(el).add(border);
+    }
+
+    /**
+     * Stop tracking a border (called from PaintBorder.remove())
+     */
+    unregister(border) {
+        this.borders.delete(border);
+        this.dirty.delete(border);
+
+        const el = border.element;
+        const onElement = this.elementBorders.get(el);
+        if (!onElement || !onElement.delete(border) || onElement.size > 0) {
+            return;
+        }
+
+        this.elementBorders.delete(el);
+        this.offscreen.delete(el);
+        if (this.resizeObserver) {
+            this.resizeObserver.unobserve(el);
+        }
+        if (this.intersectionObserver) {
+            this.intersectionObserver.unobserve(el);
+        }
+    }
+
+    /**
+     * Queue a redraw of one border on the next frame
+     */
+    invalidate(border) {
+        this.dirty.add(border);
+        this.scheduleFlush();
+    }
+
+    /**
+     * Queue a redraw of every border on an element
+     */
+    invalidateElement(el) {
+        const onElement = this.elementBorders.get(el);
+        if (onElement) {
+            onElement.forEach((border) => this.dirty.add(border));
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Queue a redraw of every border (viewport resize, zoom, pixel ratio change)
+     */
+    invalidateAll() {
+        this.borders.forEach((border) => this.dirty.add(border));
+        this.scheduleFlush();
+    }
+
+    /**
+     * Track which elements are offscreen; borders that changed while hidden redraw on entry
+     */
+    handleIntersections(entries) {
+        let becameVisible = false;
+        for (const entry of entries) {
+            if (entry.isIntersecting) {
+                becameVisible = this.offscreen.delete(entry.target) || becameVisible;
+            } else {
+                this.offscreen.add(entry.target);
+            }
+        }
+        if (becameVisible) {
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Run flush() on the next animation frame (once, however many borders asked)
+     */
+    scheduleFlush() {
+        if (this.frame) {
+            return;
+        }
+        this.frame = window.requestAnimationFrame(() => {
+            this.frame = null;
+            this.flush();
+        });
+    }
+
+    /**
+     * Redraw all dirty, visible borders: measure everything first, then draw,
+     * so the browser lays out once instead of once per border
+     */
+    flush() {
+        const ready = [];
+        this.dirty.forEach((border) => {
+            // Offscreen borders stay dirty until they scroll into view
+            if (border.options.mode === 'element' && this.offscreen.has(border.element)) {
+                return;
+            }
+            this.dirty.delete(border);
+            if (border.surface) {
+                ready.push(border);
+            }
+        });
+
+        const layouts = ready.map((border) => border.measure());
+        ready.forEach((border, i) => border.update(layouts[i]));
+    }
+
+    /**
+     * Redraw everything once the device pixel ratio changes (monitor switch, zoom), then watch the new ratio
+     */
+    watchPixelRatio() {
+        if (typeof window.matchMedia !== 'function') {
+            return;
+        }
+
+        this.pixelRatioQuery = window.matchMedia(`(resolution: ${PaintBorderUtils.getPixelRatio()}dppx)`);
+        this.pixelRatioHandler = () => {
+            this.invalidateAll();
+            this.watchPixelRatio();
         };
+        this.pixelRatioQuery.addEventListener('change', this.pixelRatioHandler, { once: true });
+    }
 
-        // Default options
-        this.options = {
-            mode: options.mode || 'viewport',
-            pixelSize: options.pixelSize || 4,           // Size of each pixel in the border
-            color: getBorderColor(),                      // Border color from CSS variable or option
-            thickness: options.thickness || 1,          // Border thickness in pixels
-            randomness: options.randomness || 0.3,      // How "hand-drawn" it looks (0-1)
-            padding: options.padding || 0,              // Padding inside the border
-            shapeVariation: options.shapeVariation || 0.2, // Variation in pixel shapes (0-1)
-            clusterRandomness: options.clusterRandomness || false, // Cluster random pixels
-            jitterAmount: options.jitterAmount || 0.15, // Amount of jitter per pixel (0-1)
-            cornerRadius: options.cornerRadius || 15,   // Corner radius in pixels (0 = sharp corners)
-            ...options
-        };
+    /**
+     * Remove every border and detach all shared listeners
+     */
+    destroyAll() {
+        Array.from(this.borders).forEach((border) => border.remove());
 
-        this.canvas = null;
-        this.ctx = null;
-        this.animationFrame = null;
-        this.resizeObserver = null;
+        window.removeEventListener('resize', this.resizeHandler);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        if (this.intersectionObserver) {
+            this.intersectionObserver.disconnect();
+        }
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.removeEventListener('change', this.pixelRatioHandler);
+        }
+        if (this.frame) {
+            window.cancelAnimationFrame(this.frame);
+        }
+        if (PaintBorder.sharedManager === this) {
+            PaintBorder.sharedManager = null;
+        }
+    }
+}
+
+/**
+ * Shape tracer behind PaintBorder: turns a rectangle and options into pixel rectangles.
+ * Pure geometry (seeded PRNG, no DOM), so renderers and Node scripts can share it.
+ */
+class PaintBorderShape {
+    constructor(options) {
+        this.options = options;
+        this.random = PaintBorderUtils.createRandom(options.seed);
+        this.pixels = [];
+        this.corners = null;                      // Corners resolved by traceRect(), for outlines
+        this.stroke = { color: null, dash: null }; // Current side/corner color and dash pattern
+        this.strokeStep = 0;                      // Step index along the current stroke, for dashes
 
         // Pre-generate random offsets for consistent but varied shapes
         this.randomOffsets = [];
@@ -63,8 +1034,8 @@ class PaintBorder {
         this.randomOffsets = [];
         for (let i = 0; i < poolSize; i++) {
             this.randomOffsets.push({
-                x: (Math.random() - 0.5) * 2,
-                y: (Math.random() - 0.5) * 2
+                x: (this.random() - 0.5) * 2,
+                y: (this.random() - 0.5) * 2
             });
         }
     }
@@ -125,219 +1096,637 @@ class PaintBorder {
     }
 
     /**
-     * Initialize and draw the border
+     * Trace the configured shape: the rounded rectangle, or a polyline / polygon / SVG path
+     * @param {{x: number, y: number, width: number, height: number}} rect - Border rectangle (shape origin)
+     * @returns {Array<{x: number, y: number, w: number, h: number}>} Pixel rectangles
      */
-    draw() {
-        if (!this.element) return;
+    trace(rect) {
+        const shape = this.options.shape;
+        const isRect = !shape || shape === 'rect';
+        let subpaths = [];
+
+        if (!isRect) {
+            subpaths = (typeof shape === 'string'
+                ? PaintBorderShape.parsePath(shape)
+                : [{ points: PaintBorderShape.normalizePoints(shape), closed: this.options.closed }]
+            ).map((subpath) => ({
+                points: subpath.points.map((point) => ({ x: rect.x + point.x, y: rect.y + point.y })),
+                closed: subpath.closed
+            }));
+        }
 
-        // Remove existing border if present
-        this.remove();
+        // Interior first so the stroke paints over its edge
+        if (this.options.fill && this.options.fill !== 'none') {
+            this.traceFill(rect, isRect ? null : subpaths);
+        }
 
-        // Create canvas overlay
-        this.createCanvas();
-        
-        // Draw the pixelated border
-        this.drawBorder();
+        if (isRect) {
+            return this.traceRect(rect);
+        }
+
+        this.setStroke(this.resolveStroke({}));
+        for (const subpath of subpaths) {
+            this.tracePolyline(subpath.points, subpath.closed);
+        }
+        return this.pixels;
     }
 
     /**
-     * Create a canvas overlay positioned over the element
+     * Fill the inside of the shape on the pixel grid with the configured pattern
+     * Uses its own seeded generator so adding a fill never changes the stroke
+     * @param {{x: number, y: number, width: number, height: number}} rect - Border rectangle
+     * @param {Array|null} subpaths - Flattened polygons, or null for the rounded rectangle
      */
-    createCanvas() {
-        if (this.options.mode === 'element') {
-            this.createElementCanvas();
-            return;
+    traceFill(rect, subpaths) {
+        const pixelSize = this.options.pixelSize;
+        const fill = this.options.fill;
+        const random = PaintBorderUtils.createRandom(`${this.options.seed}:fill`);
+        let contains;
+        let bounds;
+
+        if (subpaths) {
+            const points = subpaths.reduce((all, subpath) => all.concat(subpath.points), []);
+            if (points.length === 0) {
+                return;
+            }
+            bounds = {
+                minX: Math.min(...points.map((p) => p.x)),
+                minY: Math.min(...points.map((p) => p.y)),
+                maxX: Math.max(...points.map((p) => p.x)),
+                maxY: Math.max(...points.map((p) => p.y))
+            };
+            // Open subpaths are filled as if closed, like SVG does
+            contains = (px, py) => PaintBorderShape.polygonsContain(subpaths, px, py);
+        } else {
+            const corners = this.getCorners(rect);
+            const radius = (name) => (corners[name] ? corners[name].radius : 0);
+            bounds = { minX: rect.x, minY: rect.y, maxX: rect.x + rect.width, maxY: rect.y + rect.height };
+            contains = (px, py) => {
+                if (px < bounds.minX || px > bounds.maxX || py < bounds.minY || py > bounds.maxY) {
+                    return false;
+                }
+                // Outside the quarter circle in a corner square is outside the shape
+                const left = px < bounds.minX + rect.width / 2;
+                const top = py < bounds.minY + rect.height / 2;
+                const r = radius(`${top ? 'top' : 'bottom'}${left ? 'Left' : 'Right'}`);
+                const cx = left ? Math.max(px, bounds.minX + r) : Math.min(px, bounds.maxX - r);
+                const cy = top ? Math.max(py, bounds.minY + r) : Math.min(py, bounds.maxY - r);
+                return (px - cx) * (px - cx) + (py - cy) * (py - cy) <= r * r;
+            };
         }
 
-        // Use viewport dimensions for border (fixed to viewport, not content)
-        const viewportWidth = window.innerWidth;
-        const viewportHeight = window.innerHeight;
+        const startX = Math.floor(bounds.minX / pixelSize) * pixelSize;
+        const startY = Math.floor(bounds.minY / pixelSize) * pixelSize;
 
-        // Get margin value from CSS (defaults to 1rem = 16px if not found)
-        const root = document.documentElement;
-        const marginValue = getComputedStyle(root).getPropertyValue('--spacing-md').trim() || '1rem';
-        const marginPx = parseFloat(marginValue) * (marginValue.includes('rem') ? 16 : 1);
-        
-        // Border dimensions match viewport minus margins
-        const borderWidth = viewportWidth - (marginPx * 2);
-        const borderHeight = viewportHeight - (marginPx * 2);
-        const borderX = marginPx;
-        const borderY = marginPx;
-
-        // Canvas size matches viewport
-        const canvasWidth = viewportWidth;
-        const canvasHeight = viewportHeight;
-
-        // Create canvas element
-        this.canvas = document.createElement('canvas');
-        this.canvas.className = 'paint-border-canvas';
-        this.canvas.style.position = 'fixed'; // Fixed to viewport
-        this.canvas.style.pointerEvents = 'none';
-        this.canvas.style.zIndex = '1000';
-        this.canvas.style.left = '0';
-        this.canvas.style.top = '0';
-        this.canvas.width = canvasWidth;
-        this.canvas.height = canvasHeight;
-
-        // Get context
-        // Note: Pixelated rendering is handled by CSS image-rendering property
-        this.ctx = this.canvas.getContext('2d');
+        for (let cellY = startY; cellY < bounds.maxY; cellY += pixelSize) {
+            for (let cellX = startX; cellX < bounds.maxX; cellX += pixelSize) {
+                // Sample the cell centre
+                if (!contains(cellX + pixelSize / 2, cellY + pixelSize / 2)) {
+                    continue;
+                }
 
-        // Append to body
-        document.body.appendChild(this.canvas);
+                const column = Math.round(cellX / pixelSize);
+                const row = Math.round(cellY / pixelSize);
+                let paint;
+                switch (fill) {
+                    case 'dither':
+                        paint = (column + row) % 2 === 0;
+                        break;
+                    case 'hatch':
+                        paint = (((column + row) % this.options.hatchSpacing) + this.options.hatchSpacing) % this.options.hatchSpacing === 0;
+                        break;
+                    case 'spray':
+                        paint = random() < this.options.sprayDensity;
+                        break;
+                    default:
+                        paint = true; // 'solid' bucket fill
+                }
 
-        // Store border dimensions (viewport-based, not element-based)
-        this.borderRect = {
-            x: borderX,
-            y: borderY,
-            width: borderWidth,
-            height: borderHeight
-        };
+                if (paint) {
+                    this.pixels.push({ x: cellX, y: cellY, w: pixelSize, h: pixelSize, color: this.options.fillColor });
+                }
+            }
+        }
+    }
+
+    /**
+     * Even-odd point-in-polygon test across all subpaths
+     */
+    static polygonsContain(subpaths, px, py) {
+        let inside = false;
+        for (const subpath of subpaths) {
+            const points = subpath.points;
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const a = points[i];
+                const b = points[j];
+                if ((a.y > py) !== (b.y > py) && px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) {
+                    inside = !inside;
+                }
+            }
+        }
+        return inside;
+    }
 
-        // Update on scroll/resize
-        this.setupResizeHandler();
+    /**
+     * Accept [{x, y}] or [[x, y]] point lists
+     */
+    static normalizePoints(points) {
+        return points.map((point) => (Array.isArray(point) ? { x: point[0], y: point[1] } : { x: point.x, y: point.y }));
     }
 
     /**
-     * Canvas sized to one element (absolute overlay; same draw logic as viewport border)
+     * Flatten an SVG path string into polylines
+     * Supports M L H V C S Q T A Z (absolute and relative); curves become short straight segments
+     * @param {string} d - SVG path data
+     * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>} Subpaths
      */
-    createElementCanvas() {
-        const el = this.element;
-        const w = Math.max(1, Math.round(el.offsetWidth));
-        const h = Math.max(1, Math.round(el.offsetHeight));
-
-        this.canvas = document.createElement('canvas');
-        this.canvas.className = 'paint-border-canvas paint-border-canvas--element';
-        this.canvas.setAttribute('aria-hidden', 'true');
-        this.canvas.style.position = 'absolute';
-        this.canvas.style.left = '0';
-        this.canvas.style.top = '0';
-        this.canvas.style.pointerEvents = 'none';
-        this.canvas.style.zIndex = '0';
-        this.canvas.width = w;
-        this.canvas.height = h;
-        this.canvas.style.width = `${w}px`;
-        this.canvas.style.height = `${h}px`;
-
-        this.ctx = this.canvas.getContext('2d');
-        el.insertBefore(this.canvas, el.firstChild);
-
-        this.borderRect = {
-            x: 0,
-            y: 0,
-            width: w,
-            height: h
+    static parsePath(d) {
+        const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+        const subpaths = [];
+        let current = null;
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+        let lastControl = null; // Reflected control point for S / T
+        let command = null;
+        let i = 0;
+
+        const isCommand = (token) => /^[a-zA-Z]$/.test(token);
+        // Every argument a command takes has to be there (truncated data would give NaN points)
+        const next = () => {
+            const token = tokens[i];
+            if (token === undefined || isCommand(token)) {
+                throw new Error(`Invalid path data, ${command} is missing a number: ${d}`);
+            }
+            i++;
+            const value = parseFloat(token);
+            if (!Number.isFinite(value)) {
+                throw new Error(`Invalid path data, ${token} is not a finite number: ${d}`);
+            }
+            return value;
+        };
+        const lineTo = (nx, ny) => {
+            current.points.push({ x: nx, y: ny });
+            x = nx;
+            y = ny;
+        };
+        const curveTo = (pointAt) => {
+            const steps = 12;
+            for (let step = 1; step <= steps; step++) {
+                const point = pointAt(step / steps);
+                current.points.push(point);
+            }
         };
 
-        this.setupElementResizeHandler();
+        while (i < tokens.length) {
+            if (isCommand(tokens[i])) {
+                command = tokens[i++];
+            } else if (command === null) {
+                throw new Error(`Invalid path data: ${d}`);
+            }
+
+            if (!current && command.toUpperCase() !== 'M') {
+                throw new Error(`Invalid path data, must start with a moveto: ${d}`);
+            }
+
+            const relative = command === command.toLowerCase();
+            const ox = relative ? x : 0;
+            const oy = relative ? y : 0;
+
+            switch (command.toUpperCase()) {
+                case 'M': {
+                    const nx = ox + next();
+                    const ny = oy + next();
+                    current = { points: [{ x: nx, y: ny }], closed: false };
+                    subpaths.push(current);
+                    x = startX = nx;
+                    y = startY = ny;
+                    // Further coordinate pairs after a moveto are implicit linetos
+                    command = relative ? 'l' : 'L';
+                    lastControl = null;
+                    break;
+                }
+                case 'L':
+                    lineTo(ox + next(), oy + next());
+                    lastControl = null;
+                    break;
+                case 'H':
+                    lineTo(ox + next(), y);
+                    lastControl = null;
+                    break;
+                case 'V':
+                    lineTo(x, oy + next());
+                    lastControl = null;
+                    break;
+                case 'C':
+                case 'S': {
+                    const x0 = x;
+                    const y0 = y;
+                    let c1x;
+                    let c1y;
+                    if (command.toUpperCase() === 'C') {
+                        c1x = ox + next();
+                        c1y = oy + next();
+                    } else {
+                        c1x = lastControl ? 2 * x0 - lastControl.x : x0;
+                        c1y = lastControl ? 2 * y0 - lastControl.y : y0;
+                    }
+                    const c2x = ox + next();
+                    const c2y = oy + next();
+                    const ex = ox + next();
+                    const ey = oy + next();
+                    curveTo((t) => {
+                        const mt = 1 - t;
+                        return {
+                            x: mt * mt * mt * x0 + 3 * mt * mt * t * c1x + 3 * mt * t * t * c2x + t * t * t * ex,
+                            y: mt * mt * mt * y0 + 3 * mt * mt * t * c1y + 3 * mt * t * t * c2y + t * t * t * ey
+                        };
+                    });
+                    x = ex;
+                    y = ey;
+                    lastControl = { x: c2x, y: c2y };
+                    break;
+                }
+                case 'Q':
+                case 'T': {
+                    const x0 = x;
+                    const y0 = y;
+                    let cx;
+                    let cy;
+                    if (command.toUpperCase() === 'Q') {
+                        cx = ox + next();
+                        cy = oy + next();
+                    } else {
+                        cx = lastControl ? 2 * x0 - lastControl.x : x0;
+                        cy = lastControl ? 2 * y0 - lastControl.y : y0;
+                    }
+                    const ex = ox + next();
+                    const ey = oy + next();
+                    curveTo((t) => {
+                        const mt = 1 - t;
+                        return {
+                            x: mt * mt * x0 + 2 * mt * t * cx + t * t * ex,
+                            y: mt * mt * y0 + 2 * mt * t * cy + t * t * ey
+                        };
+                    });
+                    x = ex;
+                    y = ey;
+                    lastControl = { x: cx, y: cy };
+                    break;
+                }
+                case 'A': {
+                    const rx = next();
+                    const ry = next();
+                    const rotation = next();
+                    const largeArc = next() !== 0;
+                    const sweep = next() !== 0;
+                    const ex = ox + next();
+                    const ey = oy + next();
+                    const arc = PaintBorderShape.arcToPoints(x, y, rx, ry, rotation, largeArc, sweep, ex, ey);
+                    arc.forEach((point) => current.points.push(point));
+                    x = ex;
+                    y = ey;
+                    lastControl = null;
+                    break;
+                }
+                case 'Z':
+                    // Z takes no numbers, so one after it would repeat the Z forever
+                    if (i < tokens.length && !isCommand(tokens[i])) {
+                        throw new Error(`Invalid path data, number after ${command}: ${d}`);
+                    }
+                    current.closed = true;
+                    x = startX;
+                    y = startY;
+                    lastControl = null;
+                    break;
+                default:
+                    throw new Error(`Unsupported path command: ${command}`);
+            }
+        }
+
+        return subpaths;
     }
 
     /**
-     * Draw the pixelated border
+     * Flatten an SVG elliptical arc (endpoint parameterization) into points, excluding the start point
+     * See SVG 1.1 implementation notes, F.6.5
      */
-    drawBorder() {
-        if (!this.ctx || !this.borderRect) return;
+    static arcToPoints(x1, y1, rx, ry, rotationDeg, largeArc, sweep, x2, y2) {
+        if (rx === 0 || ry === 0) {
+            return [{ x: x2, y: y2 }];
+        }
+
+        const phi = rotationDeg * Math.PI / 180;
+        const cosPhi = Math.cos(phi);
+        const sinPhi = Math.sin(phi);
+        const dx = (x1 - x2) / 2;
+        const dy = (y1 - y2) / 2;
+        const x1p = cosPhi * dx + sinPhi * dy;
+        const y1p = -sinPhi * dx + cosPhi * dy;
+
+        // Scale radii up if the endpoints can't be reached
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+        const cxp = factor * (rx * y1p) / ry;
+        const cyp = factor * -(ry * x1p) / rx;
+        const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+        const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const startAngle = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        let sweepAngle = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        if (!sweep && sweepAngle > 0) {
+            sweepAngle -= Math.PI * 2;
+        } else if (sweep && sweepAngle < 0) {
+            sweepAngle += Math.PI * 2;
+        }
+
+        const steps = Math.max(8, Math.ceil(Math.abs(sweepAngle) / (Math.PI / 16)));
+        const points = [];
+        for (let step = 1; step <= steps; step++) {
+            const theta = startAngle + sweepAngle * (step / steps);
+            const ex = rx * Math.cos(theta);
+            const ey = ry * Math.sin(theta);
+            points.push({
+                x: cosPhi * ex - sinPhi * ey + cx,
+                y: sinPhi * ex + cosPhi * ey + cy
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Trace a pixelated, wobbly stroke along a polyline (any direction)
+     * Offsets are applied along each segment's normal so the wobble follows the shape
+     */
+    tracePolyline(points, closed) {
+        if (points.length < 2) {
+            return;
+        }
 
-        // Use viewport-based border dimensions
-        const { x, y, width, height } = this.borderRect;
         const pixelSize = this.options.pixelSize;
-        const color = this.options.color;
         const thickness = this.options.thickness;
-        const randomness = this.options.randomness;
-        const cornerRadius = Math.max(0, this.options.cornerRadius || 0);
+        const path = closed ? points.concat([points[0]]) : points;
 
-        // Bottom border uses the calculated border height (no ascii-container alignment for viewport border)
-        const bottomY = y + height;
-
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        // Total step count keeps the wave continuous across segments
+        let totalLength = 0;
+        for (let i = 1; i < path.length; i++) {
+            totalLength += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+        }
+        const totalSteps = Math.max(1, Math.ceil(totalLength / pixelSize));
 
-        // Set fill color
-        this.ctx.fillStyle = color;
-
-        if (cornerRadius > 0) {
-            // Draw borders with rounded corners
-            const r = Math.min(cornerRadius, Math.min(width, height) / 2);
-            const adjustedHeight = bottomY - y; // Calculate adjusted height once
-
-            // Draw top border (excluding corners)
-            if (width > r * 2) {
-                this.drawPixelatedLine(
-                    x + r, y,
-                    x + width - r, y,
-                    pixelSize, thickness, randomness, 'horizontal'
-                );
+        // Same wave-mode rule as straight lines and corners
+        const useWaveMode = this.options.clusterRandomness && thickness <= 1 && this.options.randomness > 0.3;
+        let index = 0;
+
+        for (let s = 1; s < path.length; s++) {
+            const from = path[s - 1];
+            const to = path[s];
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const length = Math.hypot(dx, dy);
+            if (length === 0) {
+                continue;
             }
 
-            // Draw bottom border (excluding corners) - aligned to ascii-container
-            if (width > r * 2) {
-                this.drawPixelatedLine(
-                    x + r, bottomY,
-                    x + width - r, bottomY,
-                    pixelSize, thickness, randomness, 'horizontal'
-                );
-            }
+            const dirX = dx / length;
+            const dirY = dy / length;
+            const normalX = -dirY;
+            const normalY = dirX;
+            const steps = Math.max(1, Math.ceil(length / pixelSize));
+            // Include the final endpoint of an open polyline
+            const lastStep = !closed && s === path.length - 1 ? steps : steps - 1;
+
+            for (let i = 0; i <= lastStep; i++) {
+                this.strokeStep = index;
+                const baseX = from.x + dx * (i / steps);
+                const baseY = from.y + dy * (i / steps);
+
+                let normalOffset;
+                let tangentOffset;
+                if (useWaveMode) {
+                    const waveOffset = this.getWaveOffset(index, totalSteps, 'horizontal');
+                    const jitter = (this.random() - 0.5) * pixelSize * this.options.jitterAmount * 0.5;
+                    normalOffset = waveOffset.y * pixelSize + jitter;
+                    tangentOffset = 0;
+                } else {
+                    const randomOffset = this.getRandomOffset(index, this.options.clusterRandomness);
+                    normalOffset = randomOffset.y * pixelSize + (this.random() - 0.5) * pixelSize * this.options.jitterAmount;
+                    tangentOffset = randomOffset.x * pixelSize + (this.random() - 0.5) * pixelSize * this.options.jitterAmount;
+                }
 
-            // Draw left border (excluding corners) - adjust for bottom alignment
-            if (adjustedHeight > r * 2) {
-                this.drawPixelatedLine(
-                    x, y + r,
-                    x, bottomY - r,
-                    pixelSize, thickness, randomness, 'vertical'
-                );
-            }
+                for (let t = 0; t < Math.ceil(thickness); t++) {
+                    // Thicker strokes stack pixels across the normal
+                    const spread = thickness <= 1 ? 0 : (t - thickness / 2) * pixelSize;
+                    const drawX = baseX + normalX * (normalOffset + spread) + dirX * tangentOffset;
+                    const drawY = baseY + normalY * (normalOffset + spread) + dirY * tangentOffset;
 
-            // Draw right border (excluding corners) - adjust for bottom alignment
-            if (adjustedHeight > r * 2) {
-                this.drawPixelatedLine(
-                    x + width, y + r,
-                    x + width, bottomY - r,
-                    pixelSize, thickness, randomness, 'vertical'
-                );
+                    // Snap to pixel grid
+                    const snappedX = Math.floor(drawX / pixelSize) * pixelSize;
+                    const snappedY = Math.floor(drawY / pixelSize) * pixelSize;
+
+                    // Same size variation as the straight-line tracer
+                    const baseSize = thickness < 1 ? pixelSize * thickness : pixelSize;
+                    const variation = thickness <= 1 ? this.options.shapeVariation * 0.5 : this.options.shapeVariation;
+                    const spreadFactor = thickness <= 1 ? 0.1 : 0.25;
+                    const size = this.random() < variation
+                        ? baseSize * (this.random() < 0.5 ? 1 - spreadFactor : 1 + spreadFactor)
+                        : baseSize;
+
+                    this.addPixel(
+                        snappedX,
+                        snappedY,
+                        Math.max(1, Math.floor(size)),
+                        Math.max(1, Math.floor(size))
+                    );
+                }
+
+                index++;
             }
+        }
+    }
 
-            // Draw rounded corners - adjust bottom corners for ascii-container alignment
-            this.drawRoundedCorner(x + r, y + r, r, 'top-left', pixelSize, thickness, randomness);
-            this.drawRoundedCorner(x + width - r, y + r, r, 'top-right', pixelSize, thickness, randomness);
-            this.drawRoundedCorner(x + r, bottomY - r, r, 'bottom-left', pixelSize, thickness, randomness);
-            this.drawRoundedCorner(x + width - r, bottomY - r, r, 'bottom-right', pixelSize, thickness, randomness);
-        } else {
-            // Draw straight borders (original behavior)
-            // Draw top border
-            this.drawPixelatedLine(
-                x, y,
-                x + width, y,
-                pixelSize, thickness, randomness, 'horizontal'
+    /**
+     * Resolve per-side settings: false hides a side, an object overrides color / thickness / lineStyle
+     * @returns {{top: Object|null, right: Object|null, bottom: Object|null, left: Object|null}}
+     */
+    getSides() {
+        const sides = this.options.sides || {};
+        const result = {};
+        for (const name of ['top', 'right', 'bottom', 'left']) {
+            const side = sides[name] === undefined ? true : sides[name];
+            result[name] = side === false ? null : this.resolveStroke(side === true ? {} : side);
+        }
+        return result;
+    }
+
+    /**
+     * Resolve per-corner settings for a rectangle
+     * A corner is drawn when both neighbouring sides are, unless corners[name] says otherwise.
+     * Radius comes from corners[name].radius, then cornerRadius (number or per-corner object).
+     * @returns {Object} topLeft / topRight / bottomRight / bottomLeft, each {radius, ...stroke} or null
+     */
+    getCorners(rect, sides = this.getSides()) {
+        const corners = this.options.corners || {};
+        const cornerRadius = this.options.cornerRadius;
+        const maxRadius = Math.min(rect.width, rect.height) / 2;
+        const neighbours = {
+            topLeft: ['top', 'left'],
+            topRight: ['top', 'right'],
+            bottomRight: ['bottom', 'right'],
+            bottomLeft: ['bottom', 'left']
+        };
+        const result = {};
+
+        for (const name of Object.keys(neighbours)) {
+            const corner = corners[name];
+            const [sideA, sideB] = neighbours[name];
+            const drawn = corner === undefined ? Boolean(sides[sideA] && sides[sideB]) : corner !== false;
+            const config = corner && typeof corner === 'object' ? corner : {};
+            const baseRadius = typeof cornerRadius === 'object' && cornerRadius !== null
+                ? cornerRadius[name] || 0
+                : cornerRadius || 0;
+            const radius = config.radius !== undefined ? config.radius : baseRadius;
+
+            result[name] = drawn
+                ? { radius: Math.min(Math.max(0, radius), maxRadius), ...this.resolveStroke(config) }
+                : null;
+        }
+        return result;
+    }
+
+    /**
+     * Merge a side / corner override with the global stroke options
+     */
+    resolveStroke(override) {
+        return {
+            color: override.color || null,   // null = the border's main color
+            thickness: override.thickness || this.options.thickness,
+            lineStyle: override.lineStyle || this.options.lineStyle
+        };
+    }
+
+    /**
+     * Dash pattern in pixel steps for a line style, or null for solid lines
+     */
+    getDashPattern(lineStyle) {
+        switch (lineStyle) {
+            case 'dashed':
+                return [this.options.dashLength, this.options.gapLength];
+            case 'dotted':
+                return [1, 1];
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Set the color / dash applied by addPixel() to the following pixels
+     */
+    setStroke(stroke) {
+        this.stroke = {
+            color: stroke.color,
+            dash: this.getDashPattern(stroke.lineStyle)
+        };
+        this.strokeStep = 0;
+    }
+
+    /**
+     * Trace the straight edges and rounded corners of a rectangle
+     * Sides and corners can be switched off or styled individually (options.sides / options.corners)
+     * @param {{x: number, y: number, width: number, height: number}} rect - Border rectangle
+     * @returns {Array<{x: number, y: number, w: number, h: number}>} Pixel rectangles
+     */
+    traceRect(rect) {
+        const { x, y, width, height } = rect;
+        const pixelSize = this.options.pixelSize;
+        const randomness = this.options.randomness;
+        const sides = this.getSides();
+        const corners = this.getCorners(rect, sides);
+        this.corners = corners;
+
+        // A corner that isn't drawn leaves a square end, so its neighbouring lines run all the way
+        const radius = (name) => (corners[name] ? corners[name].radius : 0);
+        const rTL = radius('topLeft');
+        const rTR = radius('topRight');
+        const rBR = radius('bottomRight');
+        const rBL = radius('bottomLeft');
+
+        // Bottom border uses the calculated border height (no ascii-container alignment for viewport border)
+        const bottomY = y + height;
+
+        // Draw top border (excluding corners)
+        if (sides.top && width > rTL + rTR) {
+            this.setStroke(sides.top);
+            this.tracePixelatedLine(
+                x + rTL, y,
+                x + width - rTR, y,
+                pixelSize, sides.top.thickness, randomness, 'horizontal'
             );
+        }
 
-            // Draw bottom border - aligned to ascii-container
-            this.drawPixelatedLine(
-                x, bottomY,
-                x + width, bottomY,
-                pixelSize, thickness, randomness, 'horizontal'
+        // Draw bottom border (excluding corners)
+        if (sides.bottom && width > rBL + rBR) {
+            this.setStroke(sides.bottom);
+            this.tracePixelatedLine(
+                x + rBL, bottomY,
+                x + width - rBR, bottomY,
+                pixelSize, sides.bottom.thickness, randomness, 'horizontal'
             );
+        }
 
-            // Draw left border - adjust for bottom alignment
-            const adjustedHeight = bottomY - y;
-            this.drawPixelatedLine(
-                x, y,
-                x, bottomY,
-                pixelSize, thickness, randomness, 'vertical'
+        // Draw left border (excluding corners)
+        if (sides.left && height > rTL + rBL) {
+            this.setStroke(sides.left);
+            this.tracePixelatedLine(
+                x, y + rTL,
+                x, bottomY - rBL,
+                pixelSize, sides.left.thickness, randomness, 'vertical'
             );
+        }
 
-            // Draw right border - adjust for bottom alignment
-            this.drawPixelatedLine(
-                x + width, y,
-                x + width, bottomY,
-                pixelSize, thickness, randomness, 'vertical'
+        // Draw right border (excluding corners)
+        if (sides.right && height > rTR + rBR) {
+            this.setStroke(sides.right);
+            this.tracePixelatedLine(
+                x + width, y + rTR,
+                x + width, bottomY - rBR,
+                pixelSize, sides.right.thickness, randomness, 'vertical'
             );
         }
+
+        // Draw rounded corners
+        const cornerCenters = [
+            ['topLeft', 'top-left', x + rTL, y + rTL],
+            ['topRight', 'top-right', x + width - rTR, y + rTR],
+            ['bottomLeft', 'bottom-left', x + rBL, bottomY - rBL],
+            ['bottomRight', 'bottom-right', x + width - rBR, bottomY - rBR]
+        ];
+        for (const [name, position, centerX, centerY] of cornerCenters) {
+            const corner = corners[name];
+            if (corner && corner.radius > 0) {
+                this.setStroke(corner);
+                this.traceRoundedCorner(centerX, centerY, corner.radius, position, pixelSize, corner.thickness, randomness);
+            }
+        }
+
+        return this.pixels;
     }
 
     /**
-     * Draw a pixelated rounded corner
+     * Trace a pixelated rounded corner
      */
-    drawRoundedCorner(centerX, centerY, radius, position, pixelSize, thickness, randomness) {
+    traceRoundedCorner(centerX, centerY, radius, position, pixelSize, thickness, randomness) {
         // Determine corner quadrant angles based on position
         let startAngle, endAngle;
         
@@ -371,6 +1760,7 @@ class PaintBorder {
         const useWaveMode = this.options.clusterRandomness && thickness <= 1 && this.options.randomness > 0.3;
 
         for (let i = 0; i <= numSteps; i++) {
+            this.strokeStep = i;
             const angle = startAngle + (angleStep * i);
             
             // Calculate arc position relative to corner center
@@ -388,8 +1778,8 @@ class PaintBorder {
             } else {
                 // Use random offset
                 const randomOffset = this.getRandomOffset(i, this.options.clusterRandomness);
-                const jitterX = (Math.random() - 0.5) * pixelSize * this.options.jitterAmount;
-                const jitterY = (Math.random() - 0.5) * pixelSize * this.options.jitterAmount;
+                const jitterX = (this.random() - 0.5) * pixelSize * this.options.jitterAmount;
+                const jitterY = (this.random() - 0.5) * pixelSize * this.options.jitterAmount;
                 offsetX_pixel = (randomOffset.x * pixelSize) + jitterX;
                 offsetY_pixel = (randomOffset.y * pixelSize) + jitterY;
             }
@@ -399,8 +1789,10 @@ class PaintBorder {
 
             // Draw pixel(s) for thickness
             for (let t = 0; t < Math.ceil(thickness); t++) {
-                const drawX = pixelX;
-                const drawY = pixelY;
+                // Thicker strokes stack pixels along the radius, like the straight sides do across their normal
+                const spread = thickness <= 1 ? 0 : (t - thickness / 2) * pixelSize;
+                const drawX = pixelX + Math.cos(angle) * spread;
+                const drawY = pixelY + Math.sin(angle) * spread;
 
                 // Snap to pixel grid
                 const snappedX = Math.floor(drawX / pixelSize) * pixelSize;
@@ -408,14 +1800,14 @@ class PaintBorder {
 
                 // Size variation for texture - adjust for fractional thickness
                 const sizeVariation = thickness <= 1
-                    ? (Math.random() < (this.options.shapeVariation * 0.5)
-                        ? (Math.random() < 0.5 ? pixelSize * 0.9 : pixelSize * 1.1)
+                    ? (this.random() < (this.options.shapeVariation * 0.5)
+                        ? (this.random() < 0.5 ? pixelSize * 0.9 : pixelSize * 1.1)
                         : pixelSize * thickness) // Scale pixel size by thickness for fractional values
-                    : (Math.random() < this.options.shapeVariation 
-                        ? (Math.random() < 0.5 ? pixelSize * 0.75 : pixelSize * 1.25)
+                    : (this.random() < this.options.shapeVariation 
+                        ? (this.random() < 0.5 ? pixelSize * 0.75 : pixelSize * 1.25)
                         : pixelSize);
 
-                this.ctx.fillRect(
+                this.addPixel(
                     snappedX,
                     snappedY,
                     Math.max(1, Math.floor(sizeVariation)),
@@ -424,11 +1816,10 @@ class PaintBorder {
             }
         }
     }
-
     /**
-     * Draw a pixelated line with hand-drawn randomness and shape variation
+     * Trace a pixelated line with hand-drawn randomness and shape variation
      */
-    drawPixelatedLine(x1, y1, x2, y2, pixelSize, thickness, randomness, direction) {
+    tracePixelatedLine(x1, y1, x2, y2, pixelSize, thickness, randomness, direction) {
         const isHorizontal = direction === 'horizontal';
         const length = isHorizontal ? Math.abs(x2 - x1) : Math.abs(y2 - y1);
         const numPixels = Math.ceil(length / pixelSize);
@@ -437,6 +1828,7 @@ class PaintBorder {
         const useWaveMode = this.options.clusterRandomness && thickness <= 1 && this.options.randomness > 0.3;
 
         for (let i = 0; i < numPixels; i++) {
+            this.strokeStep = i;
             const progress = i / numPixels;
             const baseX = isHorizontal ? x1 + (x2 - x1) * progress : x1;
             const baseY = isHorizontal ? y1 : y1 + (y2 - y1) * progress;
@@ -448,8 +1840,8 @@ class PaintBorder {
                 const waveOffset = this.getWaveOffset(i, numPixels, direction);
                 
                 // Add subtle jitter for organic feel
-                const jitterX = (Math.random() - 0.5) * pixelSize * this.options.jitterAmount * 0.5;
-                const jitterY = (Math.random() - 0.5) * pixelSize * this.options.jitterAmount * 0.5;
+                const jitterX = (this.random() - 0.5) * pixelSize * this.options.jitterAmount * 0.5;
+                const jitterY = (this.random() - 0.5) * pixelSize * this.options.jitterAmount * 0.5;
 
                 offsetX = (waveOffset.x * pixelSize) + jitterX;
                 offsetY = (waveOffset.y * pixelSize) + jitterY;
@@ -461,8 +1853,8 @@ class PaintBorder {
                 );
 
                 // Add jitter for more variation
-                const jitterX = (Math.random() - 0.5) * pixelSize * this.options.jitterAmount;
-                const jitterY = (Math.random() - 0.5) * pixelSize * this.options.jitterAmount;
+                const jitterX = (this.random() - 0.5) * pixelSize * this.options.jitterAmount;
+                const jitterY = (this.random() - 0.5) * pixelSize * this.options.jitterAmount;
 
                 offsetX = (randomOffset.x * pixelSize) + jitterX;
                 offsetY = (randomOffset.y * pixelSize) + jitterY;
@@ -485,11 +1877,11 @@ class PaintBorder {
                     // Subtle size variation for texture (less for single pixel lines)
                     // Scale pixel size by thickness for fractional values
                     const baseSize = thickness < 1 ? pixelSize * thickness : pixelSize;
-                    const sizeVariation = Math.random() < (this.options.shapeVariation * 0.5)
-                        ? (Math.random() < 0.5 ? baseSize * 0.9 : baseSize * 1.1)
+                    const sizeVariation = this.random() < (this.options.shapeVariation * 0.5)
+                        ? (this.random() < 0.5 ? baseSize * 0.9 : baseSize * 1.1)
                         : baseSize;
 
-                    this.ctx.fillRect(
+                    this.addPixel(
                         snappedX,
                         snappedY,
                         Math.max(1, Math.floor(sizeVariation)),
@@ -499,9 +1891,9 @@ class PaintBorder {
                     // Original multi-pixel thickness behavior
                     const shapeOffsetX = isHorizontal 
                         ? 0 
-                        : (Math.random() - 0.5) * pixelSize * this.options.shapeVariation;
+                        : (this.random() - 0.5) * pixelSize * this.options.shapeVariation;
                     const shapeOffsetY = isHorizontal
-                        ? (Math.random() - 0.5) * pixelSize * this.options.shapeVariation
+                        ? (this.random() - 0.5) * pixelSize * this.options.shapeVariation
                         : 0;
 
                     const drawX = isHorizontal 
@@ -516,11 +1908,11 @@ class PaintBorder {
                     const snappedY = Math.floor(drawY / pixelSize) * pixelSize;
 
                     // Occasionally draw slightly larger or smaller pixels for texture
-                    const sizeVariation = Math.random() < this.options.shapeVariation 
-                        ? (Math.random() < 0.5 ? pixelSize * 0.75 : pixelSize * 1.25)
+                    const sizeVariation = this.random() < this.options.shapeVariation 
+                        ? (this.random() < 0.5 ? pixelSize * 0.75 : pixelSize * 1.25)
                         : pixelSize;
 
-                    this.ctx.fillRect(
+                    this.addPixel(
                         snappedX,
                         snappedY,
                         Math.max(1, Math.floor(sizeVariation)),
@@ -530,166 +1922,36 @@ class PaintBorder {
             }
         }
     }
-
-    /**
-     * Setup resize and scroll handlers to update border position
-     */
-    setupResizeHandler() {
-        const updateBorder = () => {
-            if (!this.canvas) return;
-            
-            // Use viewport dimensions for border (fixed to viewport)
-            const viewportWidth = window.innerWidth;
-            const viewportHeight = window.innerHeight;
-
-            // Get margin value from CSS
-            const root = document.documentElement;
-            const marginValue = getComputedStyle(root).getPropertyValue('--spacing-md').trim() || '1rem';
-            const marginPx = parseFloat(marginValue) * (marginValue.includes('rem') ? 16 : 1);
-            
-            // Border dimensions match viewport minus margins
-            const borderWidth = viewportWidth - (marginPx * 2);
-            const borderHeight = viewportHeight - (marginPx * 2);
-            const borderX = marginPx;
-            const borderY = marginPx;
-
-            // Update canvas size to match viewport
-            if (this.canvas.width !== viewportWidth || this.canvas.height !== viewportHeight) {
-                this.canvas.width = viewportWidth;
-                this.canvas.height = viewportHeight;
-            }
-
-            // Update border rect
-            this.borderRect = {
-                x: borderX,
-                y: borderY,
-                width: borderWidth,
-                height: borderHeight
-            };
-
-            this.drawBorder();
-        };
-
-        // Throttle resize/scroll events
-        let ticking = false;
-        const throttledUpdate = () => {
-            if (!ticking) {
-                window.requestAnimationFrame(() => {
-                    updateBorder();
-                    ticking = false;
-                });
-                ticking = true;
-            }
-        };
-
-        // Only listen to resize since border is fixed to viewport
-        window.addEventListener('resize', throttledUpdate);
-
-        // Store handlers for cleanup
-        this.resizeHandler = throttledUpdate;
-    }
-
     /**
-     * Resize / layout for element-bound borders
+     * Record one pixel rectangle (skipped in the gaps of a dashed / dotted stroke)
      */
-    setupElementResizeHandler() {
-        const updateBorder = () => {
-            if (!this.canvas || !this.element || !this.ctx) return;
-            const w = Math.max(1, Math.round(this.element.offsetWidth));
-            const h = Math.max(1, Math.round(this.element.offsetHeight));
-            if (this.canvas.width !== w || this.canvas.height !== h) {
-                this.canvas.width = w;
-                this.canvas.height = h;
-                this.canvas.style.width = `${w}px`;
-                this.canvas.style.height = `${h}px`;
-            }
-            this.borderRect = {
-                x: 0,
-                y: 0,
-                width: w,
-                height: h
-            };
-            this.drawBorder();
-        };
-
-        let ticking = false;
-        const throttled = () => {
-            if (!ticking) {
-                window.requestAnimationFrame(() => {
-                    updateBorder();
-                    ticking = false;
-                });
-                ticking = true;
-            }
-        };
-
-        if (typeof ResizeObserver !== 'undefined') {
-            this.resizeObserver = new ResizeObserver(throttled);
-            this.resizeObserver.observe(this.element);
+    addPixel(x, y, w, h) {
+        const { color, dash } = this.stroke;
+        if (dash && this.strokeStep % (dash[0] + dash[1]) >= dash[0]) {
+            return;
         }
-        window.addEventListener('resize', throttled);
-        this.resizeHandler = throttled;
-    }
 
-    /**
-     * Remove the border
-     */
-    remove() {
-        if (this.canvas && this.canvas.parentNode) {
-            this.canvas.parentNode.removeChild(this.canvas);
-        }
-        if (this.resizeHandler) {
-            window.removeEventListener('resize', this.resizeHandler);
-            this.resizeHandler = null;
-        }
-        if (this.resizeObserver) {
-            this.resizeObserver.disconnect();
-            this.resizeObserver = null;
+        const pixel = { x, y, w, h };
+        if (color) {
+            pixel.color = color;
         }
-        this.canvas = null;
-        this.ctx = null;
-    }
-
-    /**
-     * Redraw the border (useful after element size changes)
-     */
-    redraw() {
-        this.remove();
-        this.draw();
+        this.pixels.push(pixel);
     }
 }
 
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PaintBorder;
 }
 
 /**
- * Pixel borders on project titles and CV section headers (same algorithm as main frame).
- * Border color uses --color-background so it reads on inverted (red) title boxes.
+ * Borders for every element marked data-paint-border, including ones added later.
+ * Skipped under Node, where only the headless geometry API is used.
  */
-document.addEventListener('DOMContentLoaded', () => {
-    const root = document.documentElement;
-    const edgeColor = getComputedStyle(root).getPropertyValue('--color-background').trim() || '#2e0901';
-
-    const boxOpts = {
-        mode: 'element',
-        pixelSize: 3,
-        thickness: 1,
-        randomness: 0.72,
-        clusterRandomness: true,
-        jitterAmount: 0.42,
-        shapeVariation: 0.38,
-        cornerRadius: 8,
-        color: edgeColor
-    };
-
-    document.querySelectorAll('.ascii-container > b, .cv-section-header-label').forEach((el) => {
-        try {
-            new PaintBorder(el, boxOpts).draw();
-        } catch (e) {
-            console.warn('PaintBorder element box', e);
-        }
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        PaintBorder.init(document);
+        PaintBorder.observe(document.body);
     });
-});
-
+}
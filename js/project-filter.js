@@ -0,0 +1,451 @@
+/**
+ * Project Filter
+ * Filters the projects index by tech stack and tag and adds a fuzzy search over project titles and
+ * descriptions. The current filters live in the query string (?q=dngn&stack=C%2B%2B&tag=games) so a
+ * filtered view can be linked to.
+ *
+ * Usage:
+ *   // The build renders each .project-row with data-stack="C++,DirectX11" data-tags="engine,graphics"
+ *   <nav class="projects-index" data-project-filter> ...rows... </nav>
+ *
+ * Within a group any pressed chip matches (C++ or C#), across groups all must match (C++ and games).
+ * Every search word has to fuzzily match one word of a row's title or description; while searching,
+ * rows are ordered best match first, title matches counting double.
+ *
+ * Keys: "/" focuses the search box, Escape clears it, Enter opens the top result and the arrow keys
+ * step between the search box and the visible projects.
+ */
+
+class ProjectFilter {
+    /**
+     * @param {Element} list - Element holding the .project-row elements
+     */
+    constructor(list) {
+        this.list = list;
+        this.rows = Array.from(list.querySelectorAll('.project-row')).map((row, index) => {
+            const label = row.querySelector('.cv-section-header-label');
+            const description = row.querySelector('.project-row__desc');
+            return {
+                element: row,
+                index,
+                title: label ? label.textContent : '',
+                description: description ? description.textContent : '',
+                stack: ProjectFilter.splitList(row.dataset.stack),
+                tags: ProjectFilter.splitList(row.dataset.tags),
+                score: 0
+            };
+        });
+        this.state = { query: '', stack: new Set(), tag: new Set() };
+        this.controls = null;
+        this.onKeydown = this.onKeydown.bind(this);
+        this.onListKeydown = this.onListKeydown.bind(this);
+    }
+
+    /**
+     * Add filters to every [data-project-filter] list in root that has none yet
+     * @param {ParentNode} root - Document or element to scan
+     * @returns {ProjectFilter[]} Filters created
+     */
+    static initAll(root = document) {
+        const active = new Set(Array.from(ProjectFilter.instances, (filter) => filter.list));
+        return Array.from(root.querySelectorAll('[data-project-filter]')).filter((list) => !active.has(list)).map((list) => {
+            const filter = new ProjectFilter(list);
+            filter.start();
+            return filter;
+        });
+    }
+
+    /**
+     * Remove every filter and show all projects again
+     */
+    static destroyAll() {
+        Array.from(ProjectFilter.instances).forEach((filter) => filter.destroy());
+    }
+
+    /**
+     * "C++,DirectX11" -> ['C++', 'DirectX11']
+     * @param {string} value - Comma separated list
+     * @returns {string[]}
+     */
+    static splitList(value) {
+        return (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * Score a search word against one word of text: every character of the term has to appear
+     * in order; starting the word, runs of characters and a close length score higher
+     * @param {string} term - Lowercase search word
+     * @param {string} word - Lowercase word of text
+     * @returns {number} Score, or -1 when the term does not match
+     */
+    static scoreWord(term, word) {
+        let score = 0;
+        let last = -1;
+        for (const char of term) {
+            const index = word.indexOf(char, last + 1);
+            if (index === -1) {
+                return -1;
+            }
+            score += index === last + 1 ? 3 : 1;
+            last = index;
+        }
+        if (word.startsWith(term.charAt(0))) {
+            score += 2;
+        }
+        if (word === term) {
+            score += 2;
+        }
+        return score - (word.length - term.length) * 0.1;
+    }
+
+    /**
+     * Fuzzy score of a search query against some text (title or description)
+     * @param {string} query - Search query, one or more words
+     * @param {string} text - Text to search
+     * @returns {number[]} Best score per query word, -1 for words that do not match
+     */
+    static fuzzyScore(query, text) {
+        const words = text.toLowerCase().split(/[\s|/,.;:()]+/).filter(Boolean);
+        return query.toLowerCase().split(/\s+/).filter(Boolean).map((term) => {
+            return words.reduce((best, word) => Math.max(best, ProjectFilter.scoreWord(term, word)), -1);
+        });
+    }
+
+    /**
+     * Read filters from a query string
+     * @param {string} search - location.search
+     * @returns {{query: string, stack: string[], tag: string[]}}
+     */
+    static parseQuery(search) {
+        const params = new URLSearchParams(search);
+        const values = (name) => params.getAll(name).flatMap(ProjectFilter.splitList);
+        return { query: params.get('q') || '', stack: values('stack'), tag: values('tag') };
+    }
+
+    /**
+     * Build the controls, read the filters from the URL and apply them
+     */
+    start() {
+        this.controls = this.createControls();
+        this.list.parentNode.insertBefore(this.controls, this.list);
+
+        const { query, stack, tag } = ProjectFilter.parseQuery(window.location.search);
+        this.search.value = query;
+        this.state.query = query.trim();
+        stack.forEach((value) => this.setChip('stack', value, true));
+        tag.forEach((value) => this.setChip('tag', value, true));
+
+        document.addEventListener('keydown', this.onKeydown);
+        this.list.addEventListener('keydown', this.onListKeydown);
+        this.apply(false);
+        ProjectFilter.instances.add(this);
+    }
+
+    /**
+     * Search box, one chip group per facet, a clear button and a live result count
+     * @returns {Element}
+     */
+    createControls() {
+        const controls = document.createElement('div');
+        controls.className = 'project-filter';
+        controls.setAttribute('role', 'search');
+
+        const id = `project-filter-search-${ProjectFilter.count++}`;
+        const label = document.createElement('label');
+        label.className = 'sr-only';
+        label.htmlFor = id;
+        label.textContent = 'search projects';
+        this.search = document.createElement('input');
+        this.search.type = 'search';
+        this.search.id = id;
+        this.search.className = 'project-filter__search';
+        this.search.placeholder = 'search projects... ( / )';
+        this.search.autocomplete = 'off';
+        this.search.spellcheck = false;
+        this.search.addEventListener('input', () => {
+            this.state.query = this.search.value.trim();
+            this.apply();
+        });
+        this.search.addEventListener('keydown', (event) => this.onSearchKeydown(event));
+        controls.append(label, this.search);
+
+        this.chips = { stack: new Map(), tag: new Map() };
+        controls.append(
+            this.createGroup('stack', 'stack', this.rows.flatMap((row) => row.stack)),
+            this.createGroup('tag', 'tags', this.rows.flatMap((row) => row.tags))
+        );
+
+        this.clearButton = document.createElement('button');
+        this.clearButton.type = 'button';
+        this.clearButton.className = 'project-filter__clear';
+        this.clearButton.textContent = 'clear filters';
+        this.clearButton.addEventListener('click', () => {
+            this.clear();
+            this.search.focus();
+        });
+
+        this.status = document.createElement('p');
+        this.status.className = 'project-filter__status';
+        this.status.setAttribute('role', 'status');
+        this.status.setAttribute('aria-live', 'polite');
+        controls.append(this.status, this.clearButton);
+        return controls;
+    }
+
+    /**
+     * A labelled row of toggle chips, one per distinct value in first-seen order
+     * @param {string} facet - 'stack' or 'tag'
+     * @param {string} title - Visible group label
+     * @param {string[]} values - Values of every row, duplicates included
+     * @returns {Element}
+     */
+    createGroup(facet, title, values) {
+        const group = document.createElement('div');
+        group.className = 'project-filter__group';
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', `filter by ${title}`);
+
+        const label = document.createElement('span');
+        label.className = 'project-filter__label';
+        label.textContent = `${title}:`;
+        group.append(label);
+
+        Array.from(new Set(values)).forEach((value) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'project-filter__chip';
+            chip.textContent = value;
+            chip.setAttribute('aria-pressed', 'false');
+            chip.addEventListener('click', () => {
+                this.setChip(facet, value, !this.state[facet].has(value));
+                this.apply();
+            });
+            this.chips[facet].set(value, chip);
+            group.append(chip);
+        });
+        return group;
+    }
+
+    /**
+     * Press or release one chip; values with no chip (stale links) are ignored
+     * @param {string} facet - 'stack' or 'tag'
+     * @param {string} value - Chip value
+     * @param {boolean} pressed - New state
+     */
+    setChip(facet, value, pressed) {
+        const chip = this.chips[facet].get(value);
+        if (!chip) {
+            return;
+        }
+        if (pressed) {
+            this.state[facet].add(value);
+        } else {
+            this.state[facet].delete(value);
+        }
+        chip.setAttribute('aria-pressed', String(pressed));
+    }
+
+    /**
+     * Whether any filter or search is set
+     * @returns {boolean}
+     */
+    isActive() {
+        return Boolean(this.state.query) || this.state.stack.size > 0 || this.state.tag.size > 0;
+    }
+
+    /**
+     * Score a row against the current state
+     * @param {Object} row - Entry of this.rows
+     * @returns {number} Score, or -1 when the row is filtered out
+     */
+    match(row) {
+        const { query, stack, tag } = this.state;
+        if (stack.size && !row.stack.some((value) => stack.has(value))) {
+            return -1;
+        }
+        if (tag.size && !row.tags.some((value) => tag.has(value))) {
+            return -1;
+        }
+        if (!query) {
+            return 0;
+        }
+
+        const title = ProjectFilter.fuzzyScore(query, row.title);
+        const description = ProjectFilter.fuzzyScore(query, row.description);
+        let score = 0;
+        for (let i = 0; i < title.length; i++) {
+            const best = Math.max(title[i] * 2, description[i]);
+            if (best < 0) {
+                return -1;
+            }
+            score += best;
+        }
+        return score;
+    }
+
+    /**
+     * Show the matching rows (best first while searching), update chips, count and URL
+     * @param {boolean} updateUrl - Write the state to the query string
+     */
+    apply(updateUrl = true) {
+        this.rows.forEach((row) => {
+            row.score = this.match(row);
+            row.element.classList.toggle('hidden', row.score < 0);
+        });
+
+        const ordered = this.rows.slice();
+        if (this.state.query) {
+            ordered.sort((a, b) => b.score - a.score || a.index - b.index);
+        }
+        ordered.forEach((row) => this.list.appendChild(row.element));
+
+        const shown = ordered.filter((row) => row.score >= 0).length;
+        if (!this.isActive()) {
+            this.status.textContent = `${this.rows.length} projects`;
+        } else if (shown) {
+            this.status.textContent = `${shown} of ${this.rows.length} projects`;
+        } else {
+            this.status.textContent = 'no projects match';
+        }
+        this.clearButton.classList.toggle('hidden', !this.isActive());
+
+        if (updateUrl) {
+            this.writeQuery();
+        }
+    }
+
+    /**
+     * Replace the query string with the current state, keeping unrelated parameters
+     */
+    writeQuery() {
+        const params = new URLSearchParams(window.location.search);
+        ['q', 'stack', 'tag'].forEach((name) => params.delete(name));
+        if (this.state.query) {
+            params.set('q', this.state.query);
+        }
+        this.state.stack.forEach((value) => params.append('stack', value));
+        this.state.tag.forEach((value) => params.append('tag', value));
+
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    /**
+     * Drop the search and every pressed chip
+     */
+    clear() {
+        this.search.value = '';
+        this.state.query = '';
+        ['stack', 'tag'].forEach((facet) => {
+            Array.from(this.state[facet]).forEach((value) => this.setChip(facet, value, false));
+        });
+        this.apply();
+    }
+
+    /**
+     * Header links of the rows currently shown, in display order
+     * @returns {Element[]}
+     */
+    visibleLinks() {
+        return Array.from(this.list.querySelectorAll('.project-row:not(.hidden) .project-header-link'));
+    }
+
+    /**
+     * "/" anywhere outside a text field jumps to the search box
+     * @param {KeyboardEvent} event
+     */
+    onKeydown(event) {
+        if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+        const target = event.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+            return;
+        }
+        event.preventDefault();
+        this.search.focus();
+        this.search.select();
+    }
+
+    /**
+     * @param {KeyboardEvent} event
+     */
+    onSearchKeydown(event) {
+        if (event.key === 'Escape') {
+            if (this.search.value) {
+                event.preventDefault();
+                this.search.value = '';
+                this.state.query = '';
+                this.apply();
+            } else {
+                this.search.blur();
+            }
+        } else if (event.key === 'Enter') {
+            const first = this.visibleLinks()[0];
+            if (first) {
+                event.preventDefault();
+                first.click();
+            }
+        } else if (event.key === 'ArrowDown') {
+            const first = this.visibleLinks()[0];
+            if (first) {
+                event.preventDefault();
+                first.focus();
+            }
+        }
+    }
+
+    /**
+     * Arrow keys move between visible projects; up from the first one returns to the search box
+     * @param {KeyboardEvent} event
+     */
+    onListKeydown(event) {
+        if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') {
+            return;
+        }
+        const links = this.visibleLinks();
+        const index = links.indexOf(event.target);
+        if (index === -1) {
+            return;
+        }
+        event.preventDefault();
+        if (event.key === 'ArrowDown') {
+            links[Math.min(index + 1, links.length - 1)].focus();
+        } else if (index === 0) {
+            this.search.focus();
+        } else {
+            links[index - 1].focus();
+        }
+    }
+
+    /**
+     * Remove the controls and show every project in its original order; the URL is left alone
+     */
+    destroy() {
+        document.removeEventListener('keydown', this.onKeydown);
+        this.list.removeEventListener('keydown', this.onListKeydown);
+        this.rows.forEach((row) => {
+            row.element.classList.remove('hidden');
+            this.list.appendChild(row.element);
+        });
+        if (this.controls) {
+            this.controls.remove();
+            this.controls = null;
+        }
+        ProjectFilter.instances.delete(this);
+    }
+}
+
+ProjectFilter.instances = new Set(); // Every active filter, for destroyAll()
+ProjectFilter.count = 0;             // Numbers the search box ids
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectFilter;
+}
+
+// Initialize when DOM is ready (skipped under Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => ProjectFilter.initAll(document));
+}
@@ -0,0 +1,108 @@
+/**
+ * Site Nav
+ * Builds the sidebar menu from CONFIG.navigation, so a page only has to be added to CONFIG.routes
+ * (and to CONFIG.navigation to be in the menu). Route paths are relative to the site root and are
+ * rewritten relative to the current page; the link to the page itself gets aria-current="page".
+ *
+ * Usage:
+ *   // The build renders the links into the layout (src/partials/nav.js); an empty element is
+ *   // filled in the browser instead. The value is the page's own path from the site root.
+ *   <nav class="menu-container" aria-label="Site" data-site-nav="pages/info.html"></nav>
+ *
+ *   SiteNav.renderLinks('pages/info.html');
+ *   // ['<a class="blinking-link" href="../index.html">go home...</a>', ...]
+ */
+
+// CONFIG is a global in the browser; require it when loaded under Node (by the build)
+const SiteNavConfig = typeof CONFIG !== 'undefined' ? CONFIG : require('./config.js');
+
+class SiteNav {
+    /**
+     * Fill every empty [data-site-nav] element in root
+     * @param {ParentNode} root - Document or element to scan
+     * @returns {Element[]} Elements filled
+     */
+    static initAll(root = document) {
+        return Array.from(root.querySelectorAll('[data-site-nav]')).filter((nav) => !nav.children.length).map((nav) => {
+            nav.innerHTML = SiteNav.renderLinks(nav.dataset.siteNav).join('\n');
+            return nav;
+        });
+    }
+
+    /**
+     * Path from one page to another, both given from the site root
+     * @param {string} target - e.g. "pages/info.html"
+     * @param {string} page - e.g. "pages/cv.html" (gives "info.html") or "index.html"
+     * @returns {string}
+     */
+    static relative(target, page) {
+        const from = page.split('/').slice(0, -1);
+        const to = target.split('/');
+        let shared = 0;
+        while (shared < from.length && shared < to.length - 1 && from[shared] === to[shared]) {
+            shared++;
+        }
+        return '../'.repeat(from.length - shared) + to.slice(shared).join('/');
+    }
+
+    /**
+     * Menu items with their hrefs resolved for one page
+     * @param {string} page - Current page's path from the site root
+     * @param {Object} config - Site config (routes, externalLinks, navigation)
+     * @returns {Array<{label: string, href: string, current: boolean, external: boolean}>}
+     */
+    static items(page, config = SiteNavConfig) {
+        return config.navigation.map((item) => {
+            const target = item.route ? config.routes[item.route] : config.externalLinks[item.link];
+            if (!target) {
+                throw new Error(`SiteNav: unknown ${item.route ? 'route' : 'link'} "${item.route || item.link}"`);
+            }
+            const external = /^[a-z]+:/i.test(target);
+            const current = !external && target === page;
+            return {
+                label: current && item.currentLabel ? item.currentLabel : item.label,
+                href: external ? target : SiteNav.relative(target, page),
+                current,
+                external
+            };
+        });
+    }
+
+    /**
+     * The menu as <a> markup, one string per link
+     * @param {string} page - Current page's path from the site root
+     * @param {Object} config - Site config (routes, externalLinks, navigation)
+     * @returns {string[]}
+     */
+    static renderLinks(page, config = SiteNavConfig) {
+        return SiteNav.items(page, config).map((item) => {
+            let attributes = `class="blinking-link" href="${SiteNav.escape(item.href)}"`;
+            if (item.current) {
+                attributes += ' aria-current="page"';
+            }
+            if (item.external) {
+                attributes += ' target="_blank" rel="noopener noreferrer"';
+            }
+            return `<a ${attributes}>${SiteNav.escape(item.label)}</a>`;
+        });
+    }
+
+    /**
+     * Escape text for HTML (works without a DOM, unlike Utils.sanitizeHTML)
+     * @param {string} text
+     * @returns {string}
+     */
+    static escape(text) {
+        return String(text).replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteNav;
+}
+
+// Initialize when DOM is ready (skipped under Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => SiteNav.initAll(document));
+}
@@ -1,325 +1,740 @@
 /**
  * Smoke Animation
- * Makes smoke characters float to the top border and collect there,
- * moving around the top border like actual smoke
+ * Makes smoke characters float up to the border and collect there,
+ * crawling around the border like actual smoke before fading out
+ *
+ * Usage:
+ *   new SmokeAnimation({ source: '#smoke', color: '#7b7b7b', target: 'main' });
+ *
+ *   // Declarative: one emitter per marked element, options from a CONFIG.smoke.presets
+ *   // entry and/or data-smoke-* attributes (e.g. data-smoke-wind-speed="0.01")
+ *   <span class="smoke" data-smoke="chimney"> </span>
+ *
+ *   // Headless (no DOM): the same physics, advanced in fixed 60Hz ticks
+ *   const outline = { x, y, width, height, radii: { topLeft, topRight, bottomRight, bottomLeft } };
+ *   const state = SmokeAnimation.createState(options, { sourceX, sourceY, outline });
+ *   SmokeAnimation.step(state, 16.7, Utils.createRandom('seed'));   // state.particles: [{char, currentX, currentY}, ...]
+ *
+ * options.source: element or selector the particles rise from (a placeholder character in the ASCII art)
+ * options.chars: characters from densest to thinnest; particles thin out to the last one as they rise
+ * options.color / options.windSpeed / options.riseSpeed: look and drift of each particle
+ * options.clumpSize / options.clumpPause: [min, max] particles per puff and ms between puffs;
+ *   options.clumpSpawnInterval is the ms between particles inside a puff (the emit rate)
+ * options.target: element or selector whose border the smoke collects on. Smoke lands on the top edge,
+ *   then crawls around the corners and sides, following the target's PaintBorder outline when it has one.
+ *   A target with data-paint-border starts the smoke on its first 'paintborder:drawn' event and re-measures on every later one
+ * options.borderLife: [min, max] ms a particle stays on the border before it fades out over options.fadeDuration
+ * options.renderer: 'canvas' (default, every particle drawn on one fixed overlay canvas)
+ *   | 'dom' (one fixed-position <span> per particle, moved with style.left / style.top)
+ * options.seed: number | string — same seed, layout and frame times always give the same smoke.
+ *   Speeds are per 60Hz tick, so smoke moves at the same pace on 60Hz and 120Hz displays.
+ * options.interactive: visitors can push the smoke. Mouse, touch and pen movement (pointer events) adds a
+ *   force within options.pointerRadius px, scroll speed pushes every particle (options.scrollStrength), and both
+ *   die away by options.forceDecay per tick. Clicking the source releases a puff of options.puffSize particles.
+ *   Headless: SmokeSimulation.addForce(state, {x, y, vx, vy}), .addScroll(state, vx, vy) and .puff(state, count)
+ * options.reducedMotion: what prefers-reduced-motion gets — 'static' (default, a still plume drawn once),
+ *   'slow' (runs at options.reducedMotionSpeed times normal speed) or 'ignore'
+ *
+ * Lifecycle: emitter.pause() / emitter.resume() / emitter.destroy(), SmokeAnimation.destroyAll().
+ * The loop also pauses by itself while the tab is hidden or the target is scrolled out of view.
+ * Both come from AsciiEffect, so load js/ascii-effects.js before this file.
  */
 
-class SmokeAnimation {
-    constructor() {
-        this.smokeElements = [];
+// Utils and the effects engine are globals in the browser; require them when loaded under Node
+const SmokeUtils = typeof Utils !== 'undefined' ? Utils : require('./utils.js');
+const SmokeEffects = typeof AsciiEffect !== 'undefined'
+    ? { AsciiEffect, AsciiParticles, SpatialHash }
+    : require('./ascii-effects.js');
+
+/**
+ * An AsciiEffect (canvas overlay, loop, pause / resume / destroy, visibility and reduced motion)
+ * with its own physics in SmokeSimulation: rising from a source and collecting on a border
+ */
+class SmokeAnimation extends SmokeEffects.AsciiEffect {
+    constructor(options = {}) {
+        super(null, options);
+        this.source = typeof this.options.source === 'string'
+            ? document.querySelector(this.options.source)
+            : this.options.source;
+        this.target = typeof this.options.target === 'string'
+            ? document.querySelector(this.options.target)
+            : this.options.target;
+        // Watched for going offscreen (AsciiEffect lifecycle)
+        this.element = this.target || this.source;
         this.originalSmokePositions = []; // Store original positions for spawning
-        this.topBorderY = null;
-        this.borderLeft = null;
-        this.borderRight = null;
-        this.borderWidth = null;
-        this.collectedSmoke = []; // Track smoke that has reached the top
-        this.animationFrame = null;
-        this.isRunning = false;
-        this.spawnInterval = null;
-        this.spawnDelay = 2000; // Spawn new smoke every 2 seconds
-        this.maxStackHeight = 50; // Maximum vertical stacking height
-        this.stackLayer = 0; // Track vertical layers for stacking
-        this.clusters = []; // Track smoke clusters for clumping behavior
-        this.clusterRadius = 20; // Distance for particles to form clusters
-        // Performance optimizations
-        this.clusterRadiusSquared = this.clusterRadius * this.clusterRadius; // Cache squared radius to avoid sqrt
-        this.scrollX = 0;
-        this.scrollY = 0;
-        this.borderNeedsUpdate = true; // Flag to only recalculate border when needed
-        this.frameCount = 0; // For throttling expensive operations
-        this.borderStart = 0;
-        this.borderEnd = 0;
-        // Wind effect
-        this.windSpeed = -0.02; // Slight leftward drift
-        this.shouldRestart = false; // Flag to restart when particle reaches right border
-        this.spawnTimeouts = []; // Track timeouts for cleanup
-        // Clump-based spawning properties
-        this.chimneySmokeId = 'smoke'; // Only smoke4 emits smoke
-        this.clumpSize = 10 + Math.floor(Math.random() * 3); // 3-5 particles per clump
-        this.clumpSpawnInterval = 100; // Time between particles in a clump (ms)
-        this.clumpPauseDuration = 1000 + Math.random() * 1000; // 1-2 seconds pause between clumps
-        this.isSpawningClump = false;
-        this.clumpSpawnIndex = 0;
-        
-        // Wait for border to be drawn before initializing
+        // DOM renderer state: particle id -> {element, char, opacity}
+        this.spans = new Map();
+        this.borderNeedsUpdate = true; // Flag to only recalculate border when needed (scrolling)
+        // Interaction state: last position of each active pointer, last scroll sample
+        this.pointers = new Map();
+        this.lastScroll = null;
+
+        // Start once the target's border is drawn (see init())
         this.init();
     }
 
+    /**
+     * Fill in default emitter options (the original home page chimney)
+     */
+    static resolveOptions(options = {}) {
+        return {
+            source: '#smoke',                 // Element or selector the smoke rises from
+            target: 'main',                   // Element or selector whose border collects the smoke
+            chars: [';', ':', '.'],           // Densest to thinnest; the last one settles on the border
+            color: '#7b7b7b',                 // Particle color (may be "var(--css-property)")
+            windSpeed: -0.02,                 // Slight leftward drift
+            riseSpeed: 0.05,                  // Base upward speed (each particle adds up to the same again)
+            clumpSize: [3, 5],                // Particles per clump [min, max]
+            clumpSpawnInterval: 100,          // Time between particles in a clump (ms)
+            clumpPause: [1000, 2000],         // Pause between clumps [min, max] (ms)
+            clusterRadius: 20,                // Distance for particles to form clusters
+            topClumpRadius: 20,               // Distance for particles on the border to clump
+            maxStackHeight: 50,               // Maximum stacking height off the border
+            stackSpacing: 12,                 // Smoke landing closer than this to collected smoke stacks on it
+            borderLife: [30000, 60000],       // Time on the border before fading [min, max] (ms)
+            fadeDuration: 2000,               // Fade-out time (ms)
+            zIndex: 1001,                     // Above the PaintBorder frame canvas
+            renderer: 'canvas',               // 'canvas' | 'dom'
+            interactive: true,                // Pointer / scroll forces and click-to-puff
+            pointerRadius: 60,                // Reach of a pointer's push (px)
+            pointerStrength: 0.15,            // Share of the pointer's speed passed on to the smoke
+            scrollStrength: 0.05,             // Share of the scroll speed passed on to the smoke
+            forceDecay: 0.9,                  // Pointer and scroll forces left after each tick
+            puffSize: [10, 16],               // Particles released by a click on the source [min, max]
+            reducedMotion: 'static',          // Under prefers-reduced-motion: 'static' | 'slow' | 'ignore'
+            reducedMotionSpeed: 0.25,         // Speed of the 'slow' fallback
+            stillTime: 8000,                  // Simulated time behind the 'static' still (ms)
+            ...options,
+            seed: options.seed !== undefined ? options.seed : Math.floor(Math.random() * 4294967296)
+        };
+    }
+
+    /**
+     * Start one emitter per [data-smoke] element. The attribute value names a preset
+     * in CONFIG.smoke.presets; data-smoke-* attributes override single options.
+     * @param {ParentNode} root - Document or element to scan
+     * @returns {SmokeAnimation[]} Emitters that were started (elements that already have one are skipped)
+     */
+    static initAll(root = document) {
+        const presets = typeof CONFIG !== 'undefined' && CONFIG.smoke ? CONFIG.smoke.presets : {};
+        const active = new Set(Array.from(SmokeAnimation.instances, (emitter) => emitter.source));
+        return Array.from(root.querySelectorAll('[data-smoke]')).filter((element) => !active.has(element)).map((element) => {
+            // An unknown preset name falls back to the default options
+            const { preset, options } = SmokeUtils.readDataOptions(element, 'smoke');
+            return new SmokeAnimation({
+                ...(presets && presets[preset]),
+                ...options,
+                source: element
+            });
+        });
+    }
+
+    /**
+     * Create simulation state for one emitter (no DOM access, safe to call under Node)
+     * @param {Object} options - Emitter options (see resolveOptions)
+     * @param {Object} layout - Page coordinates: {sourceX, sourceY, outline: {x, y, width, height, radii}}
+     * @returns {Object} State to pass to SmokeAnimation.step()
+     */
+    static createState(options, layout) {
+        return SmokeSimulation.createState(SmokeAnimation.resolveOptions(options), layout);
+    }
+
+    /**
+     * Advance the simulation by dt milliseconds in fixed 60Hz ticks
+     * @param {Object} state - State from createState(); updated in place
+     * @param {number} dt - Elapsed time in milliseconds
+     * @param {Function} rng - Random source returning [0, 1), e.g. Utils.createRandom(seed)
+     * @returns {Object} The same state
+     */
+    static step(state, dt, rng) {
+        return SmokeSimulation.step(state, dt, rng);
+    }
+
+    /**
+     * Follow the target's PaintBorder through its 'paintborder:drawn' events: start on the first one,
+     * re-measure on every later one (resizes). Starts right away when the border is already drawn,
+     * or when the target has no PaintBorder coming and its own box is the outline.
+     */
     init() {
-        // Wait a bit for the border to be drawn (reduced delay)
-        setTimeout(() => {
-            this.setupOriginalPositions();
-            this.setupSmokeElements();
-            this.calculateBorderPosition();
-            this.startAnimation();
-            this.startSpawning();
-        }, 200);
+        if (this.target) {
+            this.listen(this.target, 'paintborder:drawn', (event) => this.handleBorderDrawn(event));
+        }
+        const border = this.getBorder();
+        const borderPending = !border && this.target && typeof PaintBorder !== 'undefined' &&
+            this.target.hasAttribute('data-paint-border');
+        if (!borderPending || (border && border.getOutline())) {
+            this.start();
+        }
     }
 
     /**
-     * Store original smoke element positions for spawning new smoke
-     * Only track the chimney smoke element
+     * Measure the source, create the overlay and the simulation, then run
+     */
+    start() {
+        if (this.state || this.destroyed) {
+            return;
+        }
+
+        this.setupOriginalPositions();
+        if (this.originalSmokePositions.length === 0) {
+            return;
+        }
+        this.setupSmokeElements();
+        this.setupCanvas();
+        const originalPos = this.originalSmokePositions[0];
+        this.state = SmokeSimulation.createState(this.options, {
+            sourceX: originalPos.startX,
+            sourceY: originalPos.startY
+        });
+        this.calculateBorderPosition();
+        if (this.options.interactive) {
+            this.bindInteraction();
+        }
+        this.setupLifecycle();
+    }
+
+    /**
+     * The target's PaintBorder, if it has one
+     */
+    getBorder() {
+        if (!this.target || typeof PaintBorder === 'undefined' || !PaintBorder.instances) {
+            return null;
+        }
+        return PaintBorder.instances.get(this.target) || null;
+    }
+
+    /**
+     * Target border drawn or redrawn: start, or move the smoke onto the new outline
+     */
+    handleBorderDrawn(event) {
+        // Element borders inside the target bubble up too; only the target's own counts
+        if (event.target !== this.target) {
+            return;
+        }
+        if (!this.state) {
+            this.start();
+            return;
+        }
+        this.updateSourcePosition();
+        this.calculateBorderPosition(event.detail.outline);
+        if (this.still) {
+            this.drawStill();
+        }
+    }
+
+    /**
+     * Store the source element position for spawning new smoke
      */
     setupOriginalPositions() {
-        const chimneySmoke = document.getElementById(this.chimneySmokeId);
-        if (!chimneySmoke) {
-            console.warn(`SmokeAnimation: Could not find chimney element with id "${this.chimneySmokeId}"`);
-            // Try to find by class as fallback
-            const smokeElements = document.querySelectorAll('.smoke');
-            if (smokeElements.length > 0) {
-                const firstSmoke = smokeElements[0];
-                console.log(`SmokeAnimation: Using first smoke element found (id: ${firstSmoke.id || 'none'})`);
-                const rect = firstSmoke.getBoundingClientRect();
-                const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
-                const scrollY = window.pageYOffset || document.documentElement.scrollTop;
-                
-                // Cache styles for reuse
-                const originalStyle = getComputedStyle(firstSmoke);
-                const parentStyle = getComputedStyle(firstSmoke.parentElement || document.body);
-                
-                this.originalSmokePositions.push({
-                    element: firstSmoke,
-                    originalChar: firstSmoke.textContent || ';',
-                    startX: rect.left + scrollX,
-                    startY: rect.top + scrollY,
-                    parent: firstSmoke.parentElement,
-                    // Cache styles for performance
-                    cachedColor: parentStyle.color || originalStyle.color || '#ff0000',
-                    cachedFontFamily: originalStyle.fontFamily,
-                    cachedFontSize: originalStyle.fontSize
-                });
-            }
+        // No source element, no smoke
+        if (!this.source) {
             return;
         }
-        
-        const rect = chimneySmoke.getBoundingClientRect();
+
+        const rect = this.source.getBoundingClientRect();
         const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
         const scrollY = window.pageYOffset || document.documentElement.scrollTop;
-        
+
         // Cache styles for reuse (all particles use same styling)
-        const originalStyle = getComputedStyle(chimneySmoke);
-        const parentStyle = getComputedStyle(chimneySmoke.parentElement || document.body);
-        
+        const originalStyle = getComputedStyle(this.source);
+
         this.originalSmokePositions.push({
-            element: chimneySmoke,
-            originalChar: chimneySmoke.textContent || ';',
+            element: this.source,
+            originalChar: this.source.textContent || ';',
             startX: rect.left + scrollX,
             startY: rect.top + scrollY,
-            parent: chimneySmoke.parentElement,
+            parent: this.source.parentElement,
             // Cache styles for performance
-            cachedColor: '#7b7b7b',
+            cachedColor: SmokeUtils.resolveCSSValue(this.options.color),
             cachedFontFamily: originalStyle.fontFamily,
-            cachedFontSize: originalStyle.fontSize
+            cachedFontSize: originalStyle.fontSize,
+            // Half-leading above the glyph in a span, so canvas text lands where the span's would
+            cachedLineOffset: (parseFloat(originalStyle.lineHeight) - parseFloat(originalStyle.fontSize)) / 2 || 0
         });
     }
 
     /**
-     * Find all smoke elements and make them transparent to preserve layout
-     * Only newly spawned particles will animate (not the original HTML elements)
+     * Re-read the source position after layout changes (resize, web fonts loading)
+     */
+    updateSourcePosition() {
+        const originalPos = this.originalSmokePositions[0];
+        if (!originalPos || !this.state) {
+            return;
+        }
+
+        const rect = this.source.getBoundingClientRect();
+        originalPos.startX = rect.left + (window.pageXOffset || document.documentElement.scrollLeft);
+        originalPos.startY = rect.top + (window.pageYOffset || document.documentElement.scrollTop);
+        SmokeSimulation.setLayout(this.state, { sourceX: originalPos.startX, sourceY: originalPos.startY });
+    }
+
+    /**
+     * Make the source element transparent to preserve layout
+     * Only newly spawned particles will animate (not the original HTML element)
      */
     setupSmokeElements() {
-        const smokeSpans = document.querySelectorAll('.smoke');
-        smokeSpans.forEach((span, index) => {
-            // Make transparent but keep character to preserve ASCII art layout
-            // This maintains spacing without affecting the visual layout
-            span.style.color = 'transparent';
-            span.style.visibility = 'visible'; // Keep visible for layout calculations
-            // Keep the original character text to maintain spacing
+        if (!this.source) {
+            return;
+        }
+        // Make transparent but keep character to preserve ASCII art layout
+        // This maintains spacing without affecting the visual layout
+        this.source.style.color = 'transparent';
+        this.source.style.visibility = 'visible'; // Keep visible for layout calculations
+    }
+
+    /**
+     * Create the overlay canvas the particles are drawn on (canvas renderer only)
+     */
+    setupCanvas() {
+        if (this.options.renderer !== 'canvas' || this.originalSmokePositions.length === 0) {
+            return;
+        }
+        super.setupCanvas('smoke-canvas');
+    }
+
+    /**
+     * Calculate the border outline from the target element, in page coordinates.
+     * Uses the target's PaintBorder (same rectangle and corner radii as the drawn frame) when it has one,
+     * otherwise the element's box with 20px corners.
+     * @param {Object} outline - Outline already measured (from a 'paintborder:drawn' event)
+     */
+    calculateBorderPosition(outline = null) {
+        if (!this.target || !this.state) {
+            return;
+        }
+
+        if (!outline) {
+            const border = this.getBorder();
+            outline = border ? border.getOutline() : null;
+        }
+
+        if (!outline) {
+            const rect = this.target.getBoundingClientRect();
+            const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
+            const scrollY = window.pageYOffset || document.documentElement.scrollTop;
+            outline = {
+                x: rect.left + scrollX,
+                y: rect.top + scrollY,
+                width: rect.width,
+                height: rect.height,
+                radii: { topLeft: 20, topRight: 20, bottomRight: 20, bottomLeft: 20 }
+            };
+        }
+
+        SmokeSimulation.setLayout(this.state, { outline });
+    }
+
+    /**
+     * Listen for pointer movement (mouse, touch and pen alike) and clicks on the source
+     */
+    bindInteraction() {
+        const passive = { passive: true };
+        this.listen(window, 'pointerdown', (event) => this.trackPointer(event), passive);
+        this.listen(window, 'pointermove', (event) => this.handlePointerMove(event), passive);
+        this.listen(window, 'pointerup', (event) => this.pointers.delete(event.pointerId), passive);
+        this.listen(window, 'pointercancel', (event) => this.pointers.delete(event.pointerId), passive);
+        this.listen(this.source, 'click', () => this.releasePuff());
+        this.source.classList.add('smoke--interactive');
+    }
+
+    /**
+     * Remember where a pointer is, in page coordinates, to measure its speed on the next move
+     */
+    trackPointer(event) {
+        this.pointers.set(event.pointerId, { x: event.pageX, y: event.pageY, time: event.timeStamp });
+    }
+
+    /**
+     * Turn pointer movement into a force at the pointer: its speed in px per tick, so a fast
+     * swipe pushes harder than a slow drift
+     */
+    handlePointerMove(event) {
+        const last = this.pointers.get(event.pointerId);
+        this.trackPointer(event);
+        if (!last || !this.state) {
+            return;
+        }
+
+        const elapsed = event.timeStamp - last.time;
+        if (elapsed <= 0) {
+            return;
+        }
+        const perTick = SmokeSimulation.TICK_MS / elapsed;
+        SmokeSimulation.addForce(this.state, {
+            x: event.pageX,
+            y: event.pageY,
+            vx: (event.pageX - last.x) * perTick,
+            vy: (event.pageY - last.y) * perTick
         });
     }
 
     /**
-     * Create a new smoke character from the chimney (smoke4)
+     * Scrolling moves the border and pushes the smoke with the scroll speed
      */
-    spawnNewSmoke() {
-        if (this.originalSmokePositions.length === 0) return;
+    handleScroll() {
+        this.borderNeedsUpdate = true;
+        super.handleScroll();
+        if (!this.options.interactive) {
+            return;
+        }
 
-        // Always use smoke4 (chimney) position
+        const now = typeof performance !== 'undefined' ? performance.now() : Date.now();
+        const x = window.pageXOffset || document.documentElement.scrollLeft;
+        const y = window.pageYOffset || document.documentElement.scrollTop;
+        const last = this.lastScroll;
+        this.lastScroll = { x, y, time: now };
+        // A scroll after a long pause starts a new gesture, so there's no speed to measure yet
+        if (!last || !this.state || now - last.time > 100 || now === last.time) {
+            return;
+        }
+
+        const perTick = SmokeSimulation.TICK_MS / (now - last.time);
+        SmokeSimulation.addScroll(this.state, (x - last.x) * perTick, (y - last.y) * perTick);
+    }
+
+    /**
+     * Release a bigger puff from the source (click on the chimney)
+     */
+    releasePuff() {
+        if (!this.state) {
+            return;
+        }
+        SmokeSimulation.puff(this.state, SmokeEffects.AsciiParticles.randomBetween(this.options.puffSize, this.random, true));
+    }
+
+    /**
+     * Recalculate the border when scrolling moved it, then advance the simulation
+     */
+    update(dt) {
+        // Only recalculate border position when needed (not every frame); resizes arrive as
+        // 'paintborder:drawn' events, scrolling moves a viewport frame relative to the page
+        if (this.borderNeedsUpdate) {
+            this.calculateBorderPosition();
+            this.borderNeedsUpdate = false;
+        }
+        super.update(dt);
+    }
+
+    simulate(dt) {
+        SmokeSimulation.step(this.state, dt, this.random);
+    }
+
+    /**
+     * Draw the current particles with the configured renderer
+     */
+    render() {
+        if (this.options.renderer === 'canvas') {
+            this.renderCanvas();
+        } else {
+            this.renderSpans();
+        }
+    }
+
+    /**
+     * Draw every particle's character onto the overlay canvas, using the font and color
+     * cached from the source element (same look as the DOM renderer's spans)
+     */
+    renderCanvas() {
+        if (!this.ctx) {
+            return;
+        }
+
+        const ctx = this.ctx;
         const originalPos = this.originalSmokePositions[0];
-        
-        // Add slight horizontal variation within clump (so particles don't all start at exact same spot)
-        const clumpOffsetX = (this.clumpSpawnIndex - this.clumpSize / 2) * 0.5; // Very tight spacing within clumps
-
-        // Create a floating clone (not inserted into the layout)
-        const floatingSmoke = document.createElement('span');
-        floatingSmoke.className = 'smoke-floating';
-        floatingSmoke.id = `floating-smoke-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        // Set styles once (don't change these later)
-        floatingSmoke.style.position = 'fixed';
-        floatingSmoke.style.pointerEvents = 'none';
-        floatingSmoke.style.zIndex = '1001';
-        
-        // Use cached styles (much faster than getComputedStyle on every spawn)
-        floatingSmoke.style.color = originalPos.cachedColor || '#ff0000';
-        floatingSmoke.style.fontFamily = originalPos.cachedFontFamily || 'monospace';
-        floatingSmoke.style.fontSize = originalPos.cachedFontSize || '16px';
-        
-        document.body.appendChild(floatingSmoke);
-
-        // Cycle through pattern: . → ; → : → . → ; → : ...
-        const clumpPattern = ['.', ';', ':'];
-        const patternIndex = this.clumpSpawnIndex % clumpPattern.length;
-        const initialChar = clumpPattern[patternIndex];
-        const startsAsSemicolon = initialChar === ';';
-        const startsAsColon = initialChar === ':';
-        const startsAsDot = initialChar === '.';
-        
-        floatingSmoke.textContent = initialChar;
-        
-        // Create smoke data object with clump offset
-        const smokeData = {
-            element: floatingSmoke,
-            originalElement: originalPos.element,
-            id: floatingSmoke.id,
-            startX: originalPos.startX + clumpOffsetX,
-            startY: originalPos.startY,
-            currentX: originalPos.startX + clumpOffsetX,
-            currentY: originalPos.startY,
-            targetX: null,
-            targetY: null,
-            hasReachedTop: false,
-            floatSpeed: 0.05 + Math.random() * 0.05, // Very slow particle speed
-            moveSpeed: 0.05 + Math.random() * 0.05, // Very slow movement along border
-            targetPosition: null,
-            stackLayer: 0,
-            direction: Math.random() > 0.5 ? 1 : -1,
-            oscillation: Math.random() * Math.PI * 2, // Random starting phase
-            oscillationSpeed: 0.02 + Math.random() * 0.03,
-            oscillationAmplitude: 1 + Math.random() * 2,
-            // Clumping properties
-            clusterId: null,
-            horizontalDrift: (Math.random() - 0.5) * 0.01, // Very minimal drift at start, particles stay very close together
-            swirlPhase: Math.random() * Math.PI * 2,
-            swirlRadius: 1 + Math.random() * 2,
-            swirlSpeed: 0.01 + Math.random() * 0.02,
-            age: 0,
-            // Character transition properties
-            startsAsSemicolon: startsAsSemicolon,
-            startsAsColon: startsAsColon,
-            startsAsDot: startsAsDot,
-            initialChar: initialChar,
-            finalChar: '.',
-            transitionDistance: 80 + Math.random() * 40, // Distance to travel before full transition
-            distanceTraveled: 0
-        };
-        
-        // Add to smoke elements array
-        this.smokeElements.push(smokeData);
-        
-        // Set initial position immediately
-        this.updateElementPosition(smokeData);
+        const particles = this.state.particles;
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width / this.pixelRatio, this.canvas.height / this.pixelRatio);
+        ctx.font = `${originalPos.cachedFontSize || '16px'} ${originalPos.cachedFontFamily || 'monospace'}`;
+        ctx.fillStyle = originalPos.cachedColor || '#ff0000';
+        ctx.textBaseline = 'top';
+        const offsetX = -this.scrollX;
+        const offsetY = originalPos.cachedLineOffset - this.scrollY;
+
+        for (let i = 0; i < particles.length; i++) {
+            const smoke = particles[i];
+            ctx.globalAlpha = smoke.opacity;
+            ctx.fillText(smoke.char, smoke.currentX + offsetX, smoke.currentY + offsetY);
+        }
+        ctx.globalAlpha = 1;
     }
 
     /**
-     * Start spawning new smoke in clumps from the chimney
+     * Keep one fixed-position span per particle: create spans for new particles,
+     * move existing ones (uses cached scroll values) and drop spans of particles that are gone
      */
-    startSpawning() {
-        // Start first clump after initial delay (reduced for faster start)
-        const timeout = setTimeout(() => {
-            if (!this.shouldRestart) {
-                this.spawnClump();
+    renderSpans() {
+        const originalPos = this.originalSmokePositions[0];
+        const particles = this.state.particles;
+        const seen = new Set();
+
+        for (let i = 0; i < particles.length; i++) {
+            const smoke = particles[i];
+            let span = this.spans.get(smoke.id);
+            if (!span) {
+                // Create a floating clone (not inserted into the layout)
+                const element = document.createElement('span');
+                element.className = 'smoke-floating';
+                // Set styles once (don't change these later)
+                element.style.position = 'fixed';
+                element.style.pointerEvents = 'none';
+                element.style.zIndex = String(this.options.zIndex);
+
+                // Use cached styles (much faster than getComputedStyle on every spawn)
+                element.style.color = originalPos.cachedColor || '#ff0000';
+                element.style.fontFamily = originalPos.cachedFontFamily || 'monospace';
+                element.style.fontSize = originalPos.cachedFontSize || '16px';
+
+                document.body.appendChild(element);
+                span = { element, char: null, opacity: 1 };
+                this.spans.set(smoke.id, span);
+            }
+            seen.add(smoke.id);
+
+            // Only update DOM if character changed
+            if (span.char !== smoke.char) {
+                span.element.textContent = smoke.char;
+                span.char = smoke.char;
+            }
+            if (span.opacity !== smoke.opacity) {
+                span.element.style.opacity = String(smoke.opacity);
+                span.opacity = smoke.opacity;
+            }
+            // Use fixed positioning relative to viewport (doesn't affect layout)
+            span.element.style.left = `${smoke.currentX - this.scrollX}px`;
+            span.element.style.top = `${smoke.currentY - this.scrollY}px`;
+        }
+
+        this.spans.forEach((span, id) => {
+            if (seen.has(id)) {
+                return;
             }
-        }, 300);
-        this.spawnTimeouts.push(timeout);
+            span.element.remove();
+            this.spans.delete(id);
+        });
     }
 
     /**
-     * Spawn a clump of smoke particles (simulating a cloud of smoke)
+     * Stop for good: remove listeners, the canvas and particle spans, and give the source its character back
      */
-    spawnClump() {
-        if (this.originalSmokePositions.length === 0) return;
+    destroy() {
+        if (this.destroyed) {
+            return;
+        }
+        super.destroy();
 
-        this.isSpawningClump = true;
-        this.clumpSpawnIndex = 0;
-        this.clumpSize = 3 + Math.floor(Math.random() * 3); // 3-5 particles per clump
+        this.spans.forEach((span) => span.element.remove());
+        this.spans.clear();
 
-        // Spawn particles in quick succession to form a clump
-        const spawnNextInClump = () => {
-            // Check if restart was triggered
-            if (this.shouldRestart) return;
-            
-            if (this.clumpSpawnIndex < this.clumpSize) {
-                this.spawnNewSmoke();
-                this.clumpSpawnIndex++;
-                
-                // Spawn next particle in clump after short delay
-                const timeout = setTimeout(spawnNextInClump, this.clumpSpawnInterval);
-                this.spawnTimeouts.push(timeout);
-            } else {
-                // Clump complete, pause before next clump
-                this.isSpawningClump = false;
-                this.clumpPauseDuration = 1000 + Math.random() * 1000; // 1-2 seconds (reduced spacing)
-                
-                const timeout = setTimeout(() => {
-                    if (!this.shouldRestart) {
-                        this.spawnClump();
-                    }
-                }, this.clumpPauseDuration);
-                this.spawnTimeouts.push(timeout);
-            }
+        if (this.source) {
+            this.source.style.color = '';
+            this.source.style.visibility = '';
+            this.source.classList.remove('smoke--interactive');
+        }
+    }
+
+    /**
+     * Re-measure the source and the border after layout changes (resize, web fonts loading)
+     */
+    updateLayout() {
+        if (!this.state) {
+            return;
+        }
+        this.borderNeedsUpdate = true;
+        this.updateSourcePosition();
+        this.calculateBorderPosition();
+    }
+}
+
+/**
+ * Physics behind SmokeAnimation: spawning, rising, clumping, crawling along the border and
+ * fading out, as plain functions of a state object. No DOM, timers or Math.random, so the
+ * same state, frame times and seeded rng always produce the same smoke.
+ * Every movement amount below is per tick of TICK_MS (tuned at 60fps).
+ */
+class SmokeSimulation {
+    /**
+     * @param {Object} options - Resolved SmokeAnimation options
+     * @param {Object} layout - Page coordinates of the source and the border (see setLayout)
+     */
+    static createState(options, layout = {}) {
+        const state = {
+            options,
+            layout: {
+                sourceX: 0,
+                sourceY: 0,
+                outline: null     // {x, y, width, height, radii: {topLeft, topRight, bottomRight, bottomLeft}}
+            },
+            path: null,           // Border as arc-length segments, see createPath()
+            particles: [],
+            nextId: 0,
+            accumulator: 0,       // Time not yet simulated (less than one tick)
+            ticks: 0,
+            // Clump-based spawning: first clump after 300ms, clump size picked when the clump starts;
+            // puff counts particles requested by puff() for the next tick
+            spawn: { clumpSize: null, clumpIndex: 0, timer: 300, puff: 0 },
+            // Pointer pushes ({x, y, vx, vy} in page px and px per tick) and the scroll push, fading each tick
+            forces: [],
+            scroll: { vx: 0, vy: 0 },
+            force: { x: 0, y: 0 }, // Reused result of forceAt()
+            // Uniform grids over floating / collected particles, rebuilt every tick for neighbor queries
+            floatingGrid: new SmokeEffects.SpatialHash(options.clusterRadius),
+            topGrid: new SmokeEffects.SpatialHash(options.topClumpRadius),
+            queryBuffer: [] // Reused candidate list so queries don't allocate
         };
+        SmokeSimulation.setLayout(state, layout);
+        return state;
+    }
 
-        spawnNextInClump();
+    /**
+     * Update source / outline coordinates (e.g. after a resize or scroll). Particles on the border
+     * keep their distance along it, so they follow the outline when it moves.
+     */
+    static setLayout(state, layout) {
+        Object.assign(state.layout, layout);
+        state.path = state.layout.outline ? SmokeSimulation.createPath(state.layout.outline) : null;
     }
 
     /**
-     * Calculate the top border position from the main element
+     * Turn a rounded-rectangle outline into segments measured by arc length, clockwise from the
+     * end of the top-left corner: top, top-right corner, right, bottom-right, bottom, bottom-left, left, top-left
      */
-    calculateBorderPosition() {
-        const mainElement = document.querySelector('main');
-        if (!mainElement) return;
+    static createPath(outline) {
+        const { x, y, width, height } = outline;
+        const maxRadius = Math.min(width, height) / 2;
+        const radii = outline.radii || {};
+        const radius = (name) => Math.min(Math.max(0, radii[name] || 0), maxRadius);
+        const rTL = radius('topLeft');
+        const rTR = radius('topRight');
+        const rBR = radius('bottomRight');
+        const rBL = radius('bottomLeft');
+        const right = x + width;
+        const bottom = y + height;
+        const line = (x1, y1, x2, y2) => ({ type: 'line', x1, y1, x2, y2, length: Math.hypot(x2 - x1, y2 - y1) });
+        // Angles grow clockwise on screen (y points down); a quarter turn per corner
+        const arc = (cx, cy, r, angle) => ({ type: 'arc', cx, cy, r, angle, length: r * Math.PI / 2 });
 
-        const rect = mainElement.getBoundingClientRect();
-        const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
-        const scrollY = window.pageYOffset || document.documentElement.scrollTop;
+        const segments = {
+            top: line(x + rTL, y, right - rTR, y),
+            topRight: arc(right - rTR, y + rTR, rTR, -Math.PI / 2),
+            right: line(right, y + rTR, right, bottom - rBR),
+            bottomRight: arc(right - rBR, bottom - rBR, rBR, 0),
+            bottom: line(right - rBR, bottom, x + rBL, bottom),
+            bottomLeft: arc(x + rBL, bottom - rBL, rBL, Math.PI / 2),
+            left: line(x, bottom - rBL, x, y + rTL),
+            topLeft: arc(x + rTL, y + rTL, rTL, Math.PI)
+        };
 
-        // Top border Y position (accounting for border thickness)
-        // The border is drawn at the element's top edge
-        // Account for corner radius (20px) and pixel size (3px)
-        const borderOffset = 1; // Small offset to align with border line
-        this.topBorderY = rect.top + scrollY - borderOffset;
-        this.borderLeft = rect.left + scrollX;
-        this.borderRight = rect.right + scrollX;
-        this.borderWidth = rect.width;
-        
-        // Cache border edges for moveAlongBorder
-        this.borderStart = this.borderLeft + 20;
-        this.borderEnd = this.borderRight - 20;
+        let length = 0;
+        const list = Object.values(segments);
+        list.forEach((segment) => {
+            segment.start = length;
+            length += segment.length;
+        });
+        return { outline, radii: { rTL, rTR, rBR, rBL }, segments, list, length };
     }
 
     /**
-     * Start the animation loop
+     * Point on the path at a distance along it (wraps around)
+     * @returns {{x: number, y: number, tx: number, ty: number, nx: number, ny: number}} Position, clockwise tangent and outward normal
      */
-    startAnimation() {
-        if (this.isRunning) return;
-        this.isRunning = true;
-        this.animate();
+    static pointAt(path, distance) {
+        const s = ((distance % path.length) + path.length) % path.length;
+        let segment = path.list[path.list.length - 1];
+        for (let i = 0; i < path.list.length; i++) {
+            const candidate = path.list[i];
+            if (candidate.length > 0 && s < candidate.start + candidate.length) {
+                segment = candidate;
+                break;
+            }
+        }
+
+        const t = s - segment.start;
+        if (segment.type === 'line') {
+            const tx = (segment.x2 - segment.x1) / (segment.length || 1);
+            const ty = (segment.y2 - segment.y1) / (segment.length || 1);
+            return { x: segment.x1 + tx * t, y: segment.y1 + ty * t, tx, ty, nx: ty, ny: -tx };
+        }
+        const angle = segment.angle + (segment.r > 0 ? t / segment.r : 0);
+        const nx = Math.cos(angle);
+        const ny = Math.sin(angle);
+        return { x: segment.cx + segment.r * nx, y: segment.cy + segment.r * ny, tx: -ny, ty: nx, nx, ny };
     }
 
     /**
-     * Main animation loop
+     * Where a particle rising straight up at x meets the border: the top edge or a top corner
+     * @returns {{y: number, distance: number}|null} Border height and distance along the path, null outside the outline
      */
-    animate() {
-        if (!this.isRunning) return;
+    static borderAbove(path, x) {
+        const { outline, segments, radii } = path;
+        if (x < outline.x || x > outline.x + outline.width) {
+            return null;
+        }
 
-        this.frameCount++;
-        
-        // Cache scroll position (only update every frame, but cache it)
-        this.scrollX = window.pageXOffset || document.documentElement.scrollLeft;
-        this.scrollY = window.pageYOffset || document.documentElement.scrollTop;
+        const corner = x < outline.x + radii.rTL ? segments.topLeft
+            : x > outline.x + outline.width - radii.rTR ? segments.topRight
+                : null;
+        if (!corner) {
+            return { y: outline.y, distance: segments.top.start + (x - segments.top.x1) };
+        }
 
-        // Only recalculate border position when needed (not every frame)
-        if (this.borderNeedsUpdate || this.frameCount % 60 === 0) {
-            this.calculateBorderPosition();
-            this.borderNeedsUpdate = false;
+        const dx = x - corner.cx;
+        const y = corner.cy - Math.sqrt(Math.max(0, corner.r * corner.r - dx * dx));
+        // Angle on the corner's quarter circle, measured the same way as pointAt()
+        let angle = Math.atan2(y - corner.cy, dx);
+        if (angle < corner.angle) {
+            angle += Math.PI * 2;
         }
+        return { y, distance: corner.start + (angle - corner.angle) * corner.r };
+    }
+
+    /**
+     * Push the smoke around a point, e.g. where a pointer moved. Particles within pointerRadius
+     * take on part of the velocity, more the closer they are
+     * @param {Object} state - Simulation state
+     * @param {{x: number, y: number, vx: number, vy: number}} force - Page position and velocity (px per tick)
+     */
+    static addForce(state, force) {
+        // Cap the speed so one jerky pointer event can't fling the smoke off the page
+        const speed = Math.hypot(force.vx, force.vy);
+        const scale = speed > SmokeSimulation.MAX_FORCE_SPEED ? SmokeSimulation.MAX_FORCE_SPEED / speed : 1;
+        state.forces.push({ x: force.x, y: force.y, vx: force.vx * scale, vy: force.vy * scale });
+        // Only the latest pushes matter, older ones have mostly died away
+        if (state.forces.length > SmokeSimulation.MAX_FORCES) {
+            state.forces.shift();
+        }
+    }
+
+    /**
+     * Push every particle with the page's scroll velocity (px per tick)
+     */
+    static addScroll(state, vx, vy) {
+        state.scroll.vx += vx * state.options.scrollStrength;
+        state.scroll.vy += vy * state.options.scrollStrength;
+    }
+
+    /**
+     * Release count extra particles from the source on the next tick
+     */
+    static puff(state, count) {
+        state.spawn.puff += count;
+    }
+
+    static step(state, dt, rng) {
+        return SmokeEffects.AsciiParticles.advance(state, dt, () => SmokeSimulation.tick(state, rng));
+    }
+
+    /**
+     * One fixed timestep: spawn, move every particle, then drop the ones that have faded out
+     */
+    static tick(state, rng) {
+        state.ticks++;
+        SmokeSimulation.updateSpawning(state, rng);
 
         // Process particles - separate arrays for better cache performance
         const floatingParticles = [];
         const topParticles = [];
-        
-        for (let i = 0; i < this.smokeElements.length; i++) {
-            const smoke = this.smokeElements[i];
+        for (let i = 0; i < state.particles.length; i++) {
+            const smoke = state.particles[i];
             if (!smoke.hasReachedTop) {
                 floatingParticles.push(smoke);
             } else {
@@ -327,60 +742,170 @@ class SmokeAnimation {
             }
         }
 
-        // Process floating particles
+        SmokeSimulation.rebuildSpatialIndex(state, floatingParticles, topParticles);
+
         for (let i = 0; i < floatingParticles.length; i++) {
-            this.floatUpward(floatingParticles[i]);
+            SmokeSimulation.floatUpward(state, floatingParticles[i], rng);
         }
-
-        // Process top particles
         for (let i = 0; i < topParticles.length; i++) {
-            this.moveAlongBorder(topParticles[i]);
+            SmokeSimulation.moveAlongBorder(state, topParticles[i], rng);
         }
+        SmokeSimulation.decayForces(state);
 
-        // Check if we should restart (first particle reached right border)
-        if (this.shouldRestart) {
-            this.restart();
-            return;
+        // Faded particles are removed one by one, never all at once
+        for (let i = 0; i < state.particles.length; i++) {
+            if (state.particles[i].opacity <= 0) {
+                state.particles = state.particles.filter((smoke) => smoke.opacity > 0);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Spawn in clumps (simulating a cloud of smoke): clumpSize particles clumpSpawnInterval ms apart,
+     * then a clumpPause before the next clump
+     */
+    static updateSpawning(state, rng) {
+        const spawn = state.spawn;
+        const options = state.options;
+        spawn.timer -= SmokeSimulation.TICK_MS;
+
+        // A puff comes out all at once, loosely spread around the source
+        for (let i = 0; i < spawn.puff; i++) {
+            const smoke = SmokeSimulation.spawnParticle(state, rng, i, spawn.puff);
+            smoke.currentX += (rng() - 0.5) * 8;
+            smoke.currentY -= rng() * 6;
+            smoke.floatSpeed *= 1.5;
+        }
+        spawn.puff = 0;
+
+        while (spawn.timer <= 0) {
+            if (spawn.clumpSize === null) {
+                spawn.clumpSize = SmokeEffects.AsciiParticles.randomBetween(options.clumpSize, rng, true);
+                spawn.clumpIndex = 0;
+            }
+            if (spawn.clumpIndex < spawn.clumpSize) {
+                SmokeSimulation.spawnParticle(state, rng);
+                spawn.clumpIndex++;
+                spawn.timer += options.clumpSpawnInterval;
+            } else {
+                // Clump complete, pause before next clump
+                spawn.clumpSize = null;
+                spawn.timer += SmokeEffects.AsciiParticles.randomBetween(options.clumpPause, rng);
+            }
+        }
+    }
+
+    /**
+     * Create a new smoke character at the source
+     * @param {number} index - Position within its clump (defaults to the current clump)
+     * @param {number} size - Size of its clump
+     */
+    static spawnParticle(state, rng, index = state.spawn.clumpIndex, size = state.spawn.clumpSize) {
+        const { layout, options } = state;
+        const chars = options.chars;
+
+        // Add slight horizontal variation within clump (so particles don't all start at exact same spot)
+        const clumpOffsetX = (index - size / 2) * 0.5; // Very tight spacing within clumps
+
+        // Cycle through the characters starting from the thinnest: . → ; → : → . → ; → : ...
+        const charIndex = (index + chars.length - 1) % chars.length;
+
+        const smoke = {
+            id: state.nextId++,
+            char: chars[charIndex],
+            startX: layout.sourceX + clumpOffsetX,
+            startY: layout.sourceY,
+            currentX: layout.sourceX + clumpOffsetX,
+            currentY: layout.sourceY,
+            hasReachedTop: false, // On the border (top edge first, then anywhere around it)
+            floatSpeed: options.riseSpeed * (1 + rng()), // Very slow particle speed
+            moveSpeed: 0.05 + rng() * 0.05, // Very slow movement along border
+            pathPosition: null, // Distance along the border path once collected
+            stackLayer: 0, // Layers of collected smoke below it (3px each), set when it reaches the border
+            displacement: 0, // Pushed off (or into) the border by pointer / scroll forces, eases back to 0
+            borderLife: SmokeEffects.AsciiParticles.randomBetween(options.borderLife, rng), // Time on the border before fading (ms)
+            fading: false,
+            opacity: 1,
+            direction: rng() > 0.5 ? 1 : -1,
+            oscillation: rng() * Math.PI * 2, // Random starting phase
+            oscillationSpeed: 0.02 + rng() * 0.03,
+            oscillationAmplitude: 1 + rng() * 2,
+            // Clumping properties
+            horizontalDrift: (rng() - 0.5) * 0.01, // Very minimal drift at start, particles stay very close together
+            swirlPhase: rng() * Math.PI * 2,
+            swirlRadius: 1 + rng() * 2,
+            swirlSpeed: 0.01 + rng() * 0.02,
+            age: 0,
+            // Character transition properties
+            charIndex,
+            finalChar: chars[chars.length - 1],
+            transitionComplete: false,
+            transitionDistance: 80 + rng() * 40, // Distance to travel before full transition
+            distanceTraveled: 0
+        };
+        state.particles.push(smoke);
+        return smoke;
+    }
+
+    /**
+     * Bucket this tick's particles into the neighbor grids
+     * (floating particles by position, collected ones by their spot along the border)
+     */
+    static rebuildSpatialIndex(state, floatingParticles, topParticles) {
+        state.floatingGrid.clear();
+        for (let i = 0; i < floatingParticles.length; i++) {
+            const smoke = floatingParticles[i];
+            state.floatingGrid.insert(smoke, smoke.currentX, smoke.currentY);
         }
 
-        this.animationFrame = requestAnimationFrame(() => this.animate());
+        state.topGrid.clear();
+        for (let i = 0; i < topParticles.length; i++) {
+            const smoke = topParticles[i];
+            if (smoke.pathPosition !== null) {
+                state.topGrid.insert(smoke, smoke.pathPosition, 0);
+            }
+        }
     }
 
     /**
      * Float a smoke character upward with complex clumping movement
      */
-    floatUpward(smoke) {
-        if (!this.topBorderY) return;
+    static floatUpward(state, smoke, rng) {
+        const { path, options } = state;
+        if (!path) {
+            return;
+        }
 
         smoke.age += 1;
+        SmokeSimulation.updateFade(state, smoke);
+        const border = SmokeSimulation.borderAbove(path, smoke.currentX);
+        const borderY = border ? border.y : path.outline.y;
 
-        // Find nearby smoke particles for clumping (only check every few frames for performance)
-        let nearbySmoke = [];
+        // Find nearby smoke particles for clumping (grid lookup, cheap enough to run every tick)
         let clumpForceX = 0;
         let clumpForceY = 0;
         let clumpCount = 0;
-        
-        // Only check for nearby particles every 3 frames to reduce computation
-        if (smoke.age % 3 === 0) {
-            nearbySmoke = this.findNearbySmoke(smoke, this.clusterRadiusSquared);
-        }
-        
+        const clusterRadius = options.clusterRadius;
+        const nearbySmoke = SmokeSimulation.findNearbySmoke(state, smoke, clusterRadius * clusterRadius);
+
         // Calculate clumping force - move toward center of nearby particles
         if (nearbySmoke.length > 0) {
             const smokeX = smoke.currentX;
             const smokeY = smoke.currentY;
-            const invRadius = 1 / this.clusterRadius;
-            
+            const invRadius = 1 / clusterRadius;
+
             for (let i = 0; i < nearbySmoke.length; i++) {
                 const other = nearbySmoke[i];
                 const dx = other.currentX - smokeX;
                 const dy = other.currentY - smokeY;
                 const distanceSquared = dx * dx + dy * dy;
-                
+
                 if (distanceSquared > 0) {
                     const distance = Math.sqrt(distanceSquared);
-                    // Attraction force (reduced for less clumping)
-                    const force = (1 - distance * invRadius) * 0.03;
+                    // Attraction force (reduced for less clumping; applied every tick, so a third
+                    // of the strength it had when neighbors were only checked every 3rd frame)
+                    const force = (1 - distance * invRadius) * 0.01;
                     const invDistance = 1 / distance;
                     clumpForceX += dx * invDistance * force;
                     clumpForceY += dy * invDistance * force;
@@ -401,18 +926,18 @@ class SmokeAnimation {
         // Complex upward movement with swirling and drifting
         // Update swirl phase
         smoke.swirlPhase += smoke.swirlSpeed;
-        
+
         // Add swirling horizontal movement
         const swirlX = Math.cos(smoke.swirlPhase) * smoke.swirlRadius * 0.1;
         // Only allow upward swirl (negative Y values, clamp to 0 or negative)
         const swirlY = Math.min(0, Math.sin(smoke.swirlPhase * 0.5) * smoke.swirlRadius * 0.05);
-        
+
         // Horizontal drift - significantly reduced for first half of upward movement
         // Calculate progress toward top border (0 = start, 1 = reached top)
-        const totalDistance = smoke.startY - this.topBorderY;
+        const totalDistance = smoke.startY - borderY;
         const distanceTraveled = smoke.startY - smoke.currentY;
         const progress = Math.min(1, Math.max(0, distanceTraveled / totalDistance));
-        
+
         // Reduce drift significantly in first half (0-50% of journey)
         let driftMultiplier;
         if (progress < 0.5) {
@@ -423,394 +948,316 @@ class SmokeAnimation {
             const secondHalfProgress = (progress - 0.5) * 2; // 0 to 1 in second half
             driftMultiplier = 0.05 + (secondHalfProgress * 0.95); // 5% to 100%
         }
-        
+
         const ageMultiplier = 1 + (smoke.age * 0.0001); // Very slow growth rate
         const driftAmount = smoke.horizontalDrift * ageMultiplier * driftMultiplier;
-        
+
         // Vertical movement with variation (faster in clumps, slower when alone)
         const verticalSpeed = smoke.floatSpeed * (clumpCount > 0 ? 1.1 : 0.9);
-        
-        // Apply movements (including wind drift to the right)
-        smoke.currentX += swirlX + driftAmount + this.windSpeed;
+
+        // Apply movements (including wind drift)
+        smoke.currentX += swirlX + driftAmount + options.windSpeed;
         const previousY = smoke.currentY;
         // Ensure particles always move upward (currentY decreases, swirlY is clamped to <= 0)
         smoke.currentY -= verticalSpeed + Math.abs(swirlY);
-        
+
         // Track distance traveled for character transition
         smoke.distanceTraveled += Math.abs(previousY - smoke.currentY);
 
         // Add some random turbulence (only horizontal and upward)
-        if (Math.random() < 0.1) { // 10% chance per frame
-            smoke.currentX += (Math.random() - 0.5) * 0.5;
+        if (rng() < 0.1) { // 10% chance per tick
+            smoke.currentX += (rng() - 0.5) * 0.5;
             // Only allow upward turbulence (always subtract, never add)
-            smoke.currentY -= Math.random() * 0.2; // Always upward movement
+            smoke.currentY -= rng() * 0.2; // Always upward movement
         }
-        
-        // Handle character transition based on starting character (optimized - only update when needed)
+
+        // Pointer and scroll pushes (the only forces allowed to move smoke down)
+        const force = SmokeSimulation.forceAt(state, smoke.currentX, smoke.currentY);
+        smoke.currentX += force.x;
+        smoke.currentY += force.y;
+
+        // Thin out from the starting character to the last one, e.g. ; → : → .
         if (!smoke.transitionComplete) {
-            let newChar = smoke.element.textContent;
-            
-            if (smoke.startsAsSemicolon) {
-                // Transition: ; → : → .
-                const transitionProgress = Math.min(smoke.distanceTraveled / smoke.transitionDistance, 1);
-                if (transitionProgress < 0.33) {
-                    newChar = ';';
-                } else if (transitionProgress < 0.66) {
-                    newChar = ':';
-                } else {
-                    newChar = '.';
-                    smoke.transitionComplete = true;
-                }
-            } else if (smoke.startsAsColon) {
-                // Transition: : → .
-                const transitionProgress = Math.min(smoke.distanceTraveled / smoke.transitionDistance, 1);
-                if (transitionProgress < 0.5) {
-                    newChar = ':';
-                } else {
-                    newChar = '.';
-                    smoke.transitionComplete = true;
-                }
-            } else if (smoke.startsAsDot) {
-                // Already a dot, no transition needed
-                newChar = '.';
+            const chars = options.chars;
+            const steps = chars.length - smoke.charIndex;
+            const transitionProgress = Math.min(smoke.distanceTraveled / smoke.transitionDistance, 1);
+            const step = Math.min(steps - 1, Math.floor(transitionProgress * steps));
+            smoke.char = chars[smoke.charIndex + step];
+            if (step === steps - 1) {
                 smoke.transitionComplete = true;
             }
-            
-            // Only update DOM if character changed
-            if (newChar !== smoke.element.textContent) {
-                smoke.element.textContent = newChar;
-            }
         }
 
-        // Check if particle has drifted too far left (shouldn't happen while floating, but safety check)
-        if (smoke.currentX <= this.borderLeft + 20) {
-            this.shouldRestart = true;
+        // Drifted outside the outline (shouldn't happen while floating, but safety check): fade away
+        if (!border) {
+            smoke.fading = true;
             return;
         }
 
-        // Check if reached top border
+        // Check if reached the border (top edge, or a top corner's curve)
         // Only allow reaching top if particle has actually moved upward from starting position
         // This prevents particles from appearing at top immediately after spawning
-        // Also check that it hasn't already reached the top to prevent duplicate processing
-        if (!smoke.hasReachedTop) {
-            const hasMovedUpward = smoke.currentY < smoke.startY;
-            if (hasMovedUpward && smoke.currentY <= this.topBorderY) {
-                smoke.currentY = this.topBorderY;
-                smoke.hasReachedTop = true;
-                
-                // Ensure smoke is fully transitioned to dot when it reaches the top
-                smoke.element.textContent = '.';
-                
-                // Use current position where it reached the top (no jumping)
-                // Then disperse left or right from this position
-                smoke.targetPosition = smoke.currentX;
-                
-                // Randomly choose left (-1) or right (1) direction for dispersion
-                smoke.direction = Math.random() > 0.5 ? 1 : -1;
-                
-                // Add to collected smoke (no need to check - hasReachedTop flag prevents duplicates)
-                this.collectedSmoke.push(smoke);
+        const hasMovedUpward = smoke.currentY < smoke.startY;
+        if (hasMovedUpward && smoke.currentY <= border.y) {
+            smoke.currentY = border.y;
+            smoke.hasReachedTop = true;
+
+            // Ensure smoke is fully transitioned to its thinnest character when it reaches the top
+            smoke.char = smoke.finalChar;
+
+            // Use current position where it reached the border (no jumping)
+            // Then disperse either way along the border from this position
+            smoke.pathPosition = border.distance;
+
+            // Stack on top of the smoke already collected close by
+            const below = SmokeSimulation.findNearbyTopParticles(state, smoke, options.stackSpacing * options.stackSpacing);
+            let stackLayer = 0;
+            for (let i = 0; i < below.length; i++) {
+                stackLayer = Math.max(stackLayer, below[i].stackLayer + 1);
             }
-        }
+            smoke.stackLayer = Math.min(stackLayer, Math.floor(options.maxStackHeight / 3));
 
-        // Update element position
-        this.updateElementPosition(smoke);
+            // Randomly choose left (-1) or right (1) direction for dispersion
+            smoke.direction = rng() > 0.5 ? 1 : -1;
+        }
     }
 
     /**
-     * Find nearby smoke particles for clumping (optimized - uses squared distance)
+     * Find nearby smoke particles for clumping (optimized - grid lookup, squared distance)
      */
-    findNearbySmoke(smoke, radiusSquared) {
+    static findNearbySmoke(state, smoke, radiusSquared) {
         const nearby = [];
         const smokeX = smoke.currentX;
         const smokeY = smoke.currentY;
-        
-        // Only check floating particles (not ones at top)
-        for (let i = 0; i < this.smokeElements.length; i++) {
-            const other = this.smokeElements[i];
-            if (other === smoke || other.hasReachedTop) continue;
-            
+
+        // Only check floating particles in the surrounding grid cells (not ones at top)
+        const candidates = state.floatingGrid.query(smokeX, smokeY, Math.sqrt(radiusSquared), state.queryBuffer);
+        for (let i = 0; i < candidates.length; i++) {
+            const other = candidates[i];
+            if (other === smoke || other.hasReachedTop) {
+                continue;
+            }
+
             const dx = other.currentX - smokeX;
             const dy = other.currentY - smokeY;
             const distanceSquared = dx * dx + dy * dy;
-            
+
             if (distanceSquared < radiusSquared && distanceSquared > 0) {
                 nearby.push(other);
             }
         }
-        
+
         return nearby;
     }
 
     /**
-     * Find nearby particles at the top border for clumping
+     * Find nearby particles on the border for clumping (distance measured along the border)
      */
-    findNearbyTopParticles(smoke, radiusSquared) {
+    static findNearbyTopParticles(state, smoke, radiusSquared) {
         const nearby = [];
-        const smokeX = smoke.targetPosition;
-        
-        // Only check particles at top
-        for (let i = 0; i < this.smokeElements.length; i++) {
-            const other = this.smokeElements[i];
-            if (other === smoke || !other.hasReachedTop || !other.targetPosition) continue;
-            
-            const dx = other.targetPosition - smokeX;
+        const smokeX = smoke.pathPosition;
+
+        // Only check collected particles in the surrounding grid cells
+        const candidates = state.topGrid.query(smokeX, 0, Math.sqrt(radiusSquared), state.queryBuffer);
+        for (let i = 0; i < candidates.length; i++) {
+            const other = candidates[i];
+            if (other === smoke || !other.hasReachedTop || other.pathPosition === null) {
+                continue;
+            }
+
+            const dx = other.pathPosition - smokeX;
             const distanceSquared = dx * dx;
-            
+
             if (distanceSquared < radiusSquared && distanceSquared > 0) {
                 nearby.push(other);
             }
         }
-        
+
         return nearby;
     }
 
     /**
-     * Find an available position along the top border (with stacking support)
+     * Move smoke along the border, around corners and down the sides (with stacking and clumping)
      */
-    findAvailablePosition(newSmoke) {
-        const minSpacing = 12; // Reduced spacing to allow more smoke
-        const borderStart = this.borderLeft + 20;
-        const borderEnd = this.borderRight - 20;
-        const availableWidth = borderEnd - borderStart;
-
-        // If no other smoke collected yet, place randomly
-        if (this.collectedSmoke.length === 0) {
-            newSmoke.stackLayer = 0;
-            return borderStart + Math.random() * availableWidth;
+    static moveAlongBorder(state, smoke, rng) {
+        const { path, options } = state;
+        if (!path || smoke.pathPosition === null) {
+            return;
         }
 
-        // Try to find a spot with enough horizontal space
-        let attempts = 0;
-        let position;
-        let found = false;
-        let stackLayer = 0;
-
-        while (attempts < 100 && !found) {
-            position = borderStart + Math.random() * availableWidth;
-            stackLayer = 0;
-            found = true;
+        SmokeSimulation.updateFade(state, smoke);
 
-            // Check for nearby smoke and determine stacking layer
-            const nearbySmoke = [];
-            for (const otherSmoke of this.collectedSmoke) {
-                if (otherSmoke.hasReachedTop && otherSmoke.targetPosition !== null) {
-                    const distance = Math.abs(position - otherSmoke.targetPosition);
-                    if (distance < minSpacing) {
-                        // Found nearby smoke, check if we can stack on top
-                        nearbySmoke.push(otherSmoke);
-                    }
-                }
-            }
-
-            if (nearbySmoke.length > 0) {
-                // Find the highest stack layer at this position
-                const maxLayer = Math.max(...nearbySmoke.map(s => s.stackLayer || 0));
-                stackLayer = maxLayer + 1;
-                
-                // If we've exceeded max stack height, try a different position
-                if (stackLayer * 3 > this.maxStackHeight) {
-                    found = false;
-                }
-            }
+        // Find nearby particles on the border for clumping (grid lookup every tick)
+        let clumpForceX = 0;
+        let clumpCount = 0;
+        const clumpRadius = options.topClumpRadius; // Reduced distance for particles to form clumps at top
+        const clumpRadiusSquared = clumpRadius * clumpRadius;
 
-            attempts++;
-        }
+        const nearbyTopParticles = SmokeSimulation.findNearbyTopParticles(state, smoke, clumpRadiusSquared);
 
-        // If couldn't find a good spot, place it anyway and stack
-        if (!found) {
-            position = borderStart + Math.random() * availableWidth;
-            // Find max layer at this position
-            const nearbySmoke = this.collectedSmoke.filter(s => 
-                s.hasReachedTop && 
-                s.targetPosition !== null && 
-                Math.abs(position - s.targetPosition) < minSpacing
-            );
-            if (nearbySmoke.length > 0) {
-                stackLayer = Math.max(...nearbySmoke.map(s => s.stackLayer || 0)) + 1;
-            }
-        }
+        if (nearbyTopParticles.length > 0) {
+            const smokeX = smoke.pathPosition;
+            const invRadius = 1 / clumpRadius;
 
-        newSmoke.stackLayer = Math.min(stackLayer, Math.floor(this.maxStackHeight / 3));
-        return position;
-    }
+            for (let i = 0; i < nearbyTopParticles.length; i++) {
+                const other = nearbyTopParticles[i];
+                const dx = other.pathPosition - smokeX;
+                const distanceSquared = dx * dx;
 
-    /**
-     * Move smoke along the top border (with stacking and clumping)
-     */
-    moveAlongBorder(smoke) {
-        if (!smoke.targetPosition) return;
-
-        // Find nearby particles at top for clumping (only check every few frames for performance)
-        let clumpForceX = 0;
-        let clumpCount = 0;
-        const clumpRadius = 20; // Reduced distance for particles to form clumps at top
-        const clumpRadiusSquared = clumpRadius * clumpRadius;
-        
-        // Only check for nearby particles every 10 frames to reduce computation and clumping
-        if (this.frameCount % 10 === 0) {
-            const nearbyTopParticles = this.findNearbyTopParticles(smoke, clumpRadiusSquared);
-            
-            if (nearbyTopParticles.length > 0) {
-                const smokeX = smoke.targetPosition;
-                const invRadius = 1 / clumpRadius;
-                
-                for (let i = 0; i < nearbyTopParticles.length; i++) {
-                    const other = nearbyTopParticles[i];
-                    const dx = other.targetPosition - smokeX;
-                    const distanceSquared = dx * dx;
-                    
-                    if (distanceSquared > 0 && distanceSquared < clumpRadiusSquared) {
-                        const distance = Math.sqrt(distanceSquared);
-                        // Much weaker attraction force to prevent giant ball formation
-                        const force = (1 - distance * invRadius) * 0.01; // Reduced from 0.05 to 0.01
-                        const invDistance = 1 / distance;
-                        clumpForceX += dx * invDistance * force;
-                        clumpCount++;
-                    }
+                if (distanceSquared > 0 && distanceSquared < clumpRadiusSquared) {
+                    const distance = Math.sqrt(distanceSquared);
+                    // Much weaker attraction force to prevent giant ball formation
+                    // (applied every tick, so a tenth of the old every-10th-frame 0.01)
+                    const force = (1 - distance * invRadius) * 0.001;
+                    const invDistance = 1 / distance;
+                    clumpForceX += dx * invDistance * force;
+                    clumpCount++;
                 }
             }
         }
 
-        // Update oscillation for subtle vertical movement
+        // Update oscillation for subtle movement off the border
         smoke.oscillation += smoke.oscillationSpeed;
-        
+
         // Move along border with some randomness (slower when stacked)
-        // Increase movement speed at top for more horizontal dispersion
-        const speedMultiplier = 1 - (smoke.stackLayer || 0) * 0.1; // Slower when higher in stack
-        const topMovementSpeed = smoke.moveSpeed * 2; // Double the speed for more horizontal movement at top
+        // Increase movement speed on the border for more dispersion
+        const speedMultiplier = Math.max(0, 1 - smoke.stackLayer * 0.1); // Slower when higher in stack
+        const topMovementSpeed = smoke.moveSpeed * 2; // Double the speed for more movement along the border
         const moveAmount = topMovementSpeed * smoke.direction * speedMultiplier;
-        
+
         // Apply clumping force to keep particles together
         const finalMoveAmount = moveAmount + (clumpCount > 0 ? clumpForceX : 0);
-        
-        // Add wind drift to the left (stronger effect at top - 3x multiplier)
-        const topWindSpeed = this.windSpeed * 3;
-        smoke.targetPosition += finalMoveAmount + topWindSpeed;
 
-        // Check if particle reaches left border - trigger restart
-        if (smoke.targetPosition <= this.borderLeft + 20) {
-            this.shouldRestart = true;
-            return; // Stop processing this particle
-        }
+        // Add wind drift (stronger effect on the border - 3x multiplier), only where the border
+        // runs across the wind: full strength on the top and bottom edges, none down the sides
+        const here = SmokeSimulation.pointAt(path, smoke.pathPosition);
+        const topWindSpeed = options.windSpeed * 3 * here.tx;
 
-        // Bounce off right edge only (left edge triggers restart)
-        if (smoke.targetPosition >= this.borderEnd) {
-            smoke.direction *= -1; // Reverse direction
-            smoke.targetPosition = this.borderEnd;
-        }
+        // Pointer and scroll pushes: the part along the border slides the particle,
+        // the part across it lifts it off (or presses it in), easing back afterwards
+        const force = SmokeSimulation.forceAt(state, smoke.currentX, smoke.currentY);
+        const push = force.x * here.tx + force.y * here.ty;
+        smoke.displacement = Math.min(options.maxStackHeight,
+            Math.max(-smoke.oscillationAmplitude, (smoke.displacement + force.x * here.nx + force.y * here.ny) * 0.95));
+
+        smoke.pathPosition = ((smoke.pathPosition + finalMoveAmount + topWindSpeed + push) % path.length + path.length) % path.length;
+
+        // Apply subtle jitter along the border for organic movement (reduced)
+        const jitter = (rng() - 0.5) * 0.3; // Reduced jitter for smoother movement
+        const point = SmokeSimulation.pointAt(path, smoke.pathPosition);
 
-        // Apply subtle horizontal jitter for organic movement (reduced)
-        const jitter = (Math.random() - 0.5) * 0.3; // Reduced jitter for smoother movement
-        smoke.currentX = smoke.targetPosition + jitter;
-        
-        // Vertical position with oscillation and stacking
-        // Stack upward from the border (negative offset = above border line)
-        const stackOffset = (smoke.stackLayer || 0) * 3; // 3px per layer
-        smoke.currentY = this.topBorderY - stackOffset + Math.sin(smoke.oscillation) * smoke.oscillationAmplitude;
+        // Offset off the border with oscillation and stacking
+        // Stack outward from the border line (above the top edge, beside the sides)
+        const offset = smoke.stackLayer * 3 - Math.sin(smoke.oscillation) * smoke.oscillationAmplitude + smoke.displacement; // 3px per layer
+        smoke.currentX = point.x + point.nx * offset + point.tx * jitter;
+        smoke.currentY = point.y + point.ny * offset + point.ty * jitter;
 
         // Occasionally change direction for more natural movement and dispersion
-        if (Math.random() < 0.01) { // 1% chance per frame - more frequent direction changes
+        if (rng() < 0.01) { // 1% chance per tick - more frequent direction changes
             smoke.direction *= -1;
         }
-
-        this.updateElementPosition(smoke);
     }
 
     /**
-     * Update the DOM element position (optimized - uses cached scroll values)
+     * Sum of the pointer and scroll pushes at a point (px this tick)
+     * @returns {{x: number, y: number}} Shared result object, valid until the next call
      */
-    updateElementPosition(smoke) {
-        const element = smoke.element;
-        
-        // Use cached scroll values (updated in animate loop)
-        // Use fixed positioning relative to viewport (doesn't affect layout)
-        element.style.left = `${smoke.currentX - this.scrollX}px`;
-        element.style.top = `${smoke.currentY - this.scrollY}px`;
+    static forceAt(state, x, y) {
+        const { options, forces, scroll } = state;
+        const result = state.force;
+        result.x = scroll.vx;
+        result.y = scroll.vy;
+
+        const radius = options.pointerRadius;
+        for (let i = 0; i < forces.length; i++) {
+            const force = forces[i];
+            const dx = x - force.x;
+            const dy = y - force.y;
+            const distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared >= radius * radius) {
+                continue;
+            }
+            // Strongest under the pointer, easing out to nothing at the edge of its reach
+            const falloff = 1 - Math.sqrt(distanceSquared) / radius;
+            const strength = falloff * falloff * options.pointerStrength;
+            result.x += force.vx * strength;
+            result.y += force.vy * strength;
+        }
+        return result;
     }
 
     /**
-     * Stop the animation
+     * Let pointer and scroll pushes die away, dropping the ones too weak to notice
      */
-    stop() {
-        this.isRunning = false;
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
+    static decayForces(state) {
+        const decay = state.options.forceDecay;
+        state.scroll.vx *= decay;
+        state.scroll.vy *= decay;
+        if (Math.abs(state.scroll.vx) < 0.001) {
+            state.scroll.vx = 0;
         }
-        if (this.spawnInterval) {
-            clearInterval(this.spawnInterval);
+        if (Math.abs(state.scroll.vy) < 0.001) {
+            state.scroll.vy = 0;
         }
-    }
 
-    /**
-     * Handle window resize
-     */
-    handleResize() {
-        this.borderNeedsUpdate = true;
-        this.calculateBorderPosition();
+        if (state.forces.length === 0) {
+            return;
+        }
+        state.forces.forEach((force) => {
+            force.vx *= decay;
+            force.vy *= decay;
+        });
+        state.forces = state.forces.filter((force) => Math.abs(force.vx) + Math.abs(force.vy) > 0.01);
     }
 
     /**
-     * Restart the animation - clear all particles and start fresh
+     * Count down a collected particle's time on the border, then fade it out over fadeDuration
      */
-    restart() {
-        // Stop current animation and spawning
-        this.isSpawningClump = false;
-        this.shouldRestart = true; // Set flag to stop spawning
-        this.stop();
-        
-        // Clear all pending spawn timeouts
-        if (this.spawnTimeouts) {
-            for (let i = 0; i < this.spawnTimeouts.length; i++) {
-                clearTimeout(this.spawnTimeouts[i]);
-            }
-            this.spawnTimeouts = [];
-        }
-        
-        // Clear all particles from DOM
-        for (let i = 0; i < this.smokeElements.length; i++) {
-            const smoke = this.smokeElements[i];
-            if (smoke.element && smoke.element.parentNode) {
-                smoke.element.parentNode.removeChild(smoke.element);
-            }
+    static updateFade(state, smoke) {
+        if (smoke.hasReachedTop && !smoke.fading) {
+            smoke.borderLife -= SmokeSimulation.TICK_MS;
+            smoke.fading = smoke.borderLife <= 0;
+        }
+        if (smoke.fading) {
+            smoke.opacity = Math.max(0, smoke.opacity - SmokeSimulation.TICK_MS / state.options.fadeDuration);
         }
-        
-        // Clear arrays
-        this.smokeElements = [];
-        this.collectedSmoke = [];
-        this.shouldRestart = false;
-        
-        // Reset frame counter
-        this.frameCount = 0;
-        
-        // Restart after a brief pause
-        setTimeout(() => {
-            this.startAnimation();
-            this.startSpawning();
-        }, 500);
     }
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    // Wait for border to be drawn
-    setTimeout(() => {
-        const smokeAnimation = new SmokeAnimation();
-        
-        // Handle resize and scroll (throttled)
+// Same fixed timestep as every other ASCII effect
+SmokeSimulation.TICK_MS = SmokeEffects.AsciiParticles.TICK_MS;
+SmokeSimulation.MAX_STEP_MS = SmokeEffects.AsciiParticles.MAX_STEP_MS;
+// Pointer pushes kept at once
+SmokeSimulation.MAX_FORCES = 16;
+// Fastest pointer push (px per tick)
+SmokeSimulation.MAX_FORCE_SPEED = 40;
+
+// Every live emitter, for destroyAll() and the shared resize handler
+SmokeAnimation.instances = new Set();
+
+// Export for module usage (headless simulation and the benchmark under Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SmokeAnimation;
+    module.exports.SmokeSimulation = SmokeSimulation;
+}
+
+// Initialize when DOM is ready (skipped under Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        // Emitters wait for their target's 'paintborder:drawn' event themselves
+        const emitters = SmokeAnimation.initAll(document);
+        if (emitters.length === 0) {
+            return;
+        }
+
+        // Handle resize (debounced) for the canvas size; each emitter listens for scrolling itself
         let resizeTimeout;
-        let scrollTimeout;
-        
+
         window.addEventListener('resize', () => {
             clearTimeout(resizeTimeout);
             resizeTimeout = setTimeout(() => {
-                smokeAnimation.handleResize();
+                SmokeAnimation.instances.forEach((emitter) => emitter.handleResize());
             }, 100);
         });
-        
-        window.addEventListener('scroll', () => {
-            smokeAnimation.borderNeedsUpdate = true;
-        }, { passive: true });
-    }, 300); // Give border time to draw (reduced for faster start)
-});
-
+    });
+}
@@ -79,13 +79,113 @@ class Utils {
         return Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * Hash a seed (number or string) into a 32-bit unsigned integer
+     * @param {number|string} seed - Seed to hash
+     * @returns {number} 32-bit unsigned integer
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        // FNV-1a over the string form of the seed
+        const str = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * Same seed always produces the same sequence, unlike Math.random()
+     * @param {number|string} seed - Seed for the generator
+     * @returns {Function} Function returning a float in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = Utils.hashSeed(seed);
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Resolve a "var(--name, fallback)" reference against the document root
+     * @param {string} value - Plain CSS value or var() reference
+     * @returns {string} Resolved value (the input itself if it is not a var())
+     */
+    static resolveCSSValue(value) {
+        const match = /^var\(\s*(--[\w-]+)\s*(?:,\s*(.+?)\s*)?\)$/.exec(String(value).trim());
+        if (!match) {
+            return value;
+        }
+        const resolved = getComputedStyle(document.documentElement).getPropertyValue(match[1]).trim();
+        return resolved || match[2] || '';
+    }
+
+    /**
+     * Turn a data attribute string into a number, boolean or JSON value where it looks like one
+     * @param {string} value - Raw attribute value
+     * @returns {*} Parsed value
+     */
+    static parseDataValue(value) {
+        const trimmed = value.trim();
+        if (trimmed === '' || trimmed === 'true') {
+            return true;
+        }
+        if (trimmed === 'false') {
+            return false;
+        }
+        if (/^-?\d*\.?\d+$/.test(trimmed)) {
+            return Number(trimmed);
+        }
+        if (/^[[{]/.test(trimmed)) {
+            try {
+                return JSON.parse(trimmed);
+            } catch (e) {
+                // Not JSON after all: keep the string
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Read a declarative component from data attributes, e.g. for name "smoke":
+     * data-smoke="preset" plus data-smoke-wind-speed="0.01" → { preset: 'preset', options: { windSpeed: 0.01 } }
+     * @param {Element} element - Element carrying the attributes
+     * @param {string} name - dataset name of the main attribute (camelCase)
+     * @returns {{preset: string, options: Object}} Preset name and per-attribute options
+     */
+    static readDataOptions(element, name) {
+        const options = {};
+        Object.keys(element.dataset).forEach((key) => {
+            if (key.length <= name.length || !key.startsWith(name)) {
+                return;
+            }
+            const first = key.charAt(name.length);
+            if (first === first.toLowerCase()) {
+                return;
+            }
+            options[first.toLowerCase() + key.slice(name.length + 1)] = Utils.parseDataValue(element.dataset[key]);
+        });
+        return { preset: element.dataset[name] || '', options };
+    }
+
     /**
      * Format bytes to human readable format
      * @param {number} bytes - Bytes to format
      * @returns {string} Formatted string
      */
     static formatBytes(bytes) {
-        if (bytes === 0) return '0 Bytes';
+        if (bytes === 0) {
+            return '0 Bytes';
+        }
         const k = 1024;
         const sizes = ['Bytes', 'KB', 'MB', 'GB'];
         const i = Math.floor(Math.log(bytes) / Math.log(k));
@@ -0,0 +1,329 @@
+/**
+ * CV partials for the build. The CV lives once in src/data/cv.json and is rendered three ways:
+ *   {{cv}}       - the cv-table markup of cv.html
+ *   resume.json  - a JSON Resume (https://jsonresume.org/schema) at the site root
+ *   resume.txt   - a fixed-width plain-text copy at the site root
+ *
+ * Sections have a title, a JSON Resume type (education, work, volunteer, projects, awards) and
+ * entries: date ("2019-2024", "2017 - present", "2016"), text, details [], location, plus the fields
+ * that type needs (position, organization, url, institution, studyType, area). Work entries without
+ * text read "<position> for <organization>". A section with "source": "projects" takes its entries
+ * from the selected projects in src/data/projects.json.
+ *
+ * text, details and basics.summary may use [label](url), **bold** and *italic*. Site-root relative
+ * URLs are resolved per page for the HTML and against basics.url for the exports.
+ */
+
+const { escapeHtml, isAbsolute, resolve } = require('./helpers.js');
+const projects = require('./projects.js');
+
+// Plain-text column widths: date, text, location (plus a two-space gap between each)
+const TEXT_COLUMNS = [14, 40, 20];
+const TEXT_WIDTH = TEXT_COLUMNS.reduce((sum, width) => sum + width, 0) + 2 * (TEXT_COLUMNS.length - 1);
+
+const MARKUP = /\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*|\*([^*]+)\*/g;
+
+/**
+ * Render inline markup, escaping the plain text between
+ * @param {string} text - Text with [label](url), **bold**, *italic*
+ * @param {Object} format - {text(str), link(label, url), bold(str), italic(str)}
+ */
+function inline(text, format) {
+    let out = '';
+    let last = 0;
+    text.replace(MARKUP, (match, label, url, bold, italic, offset) => {
+        out += format.text(text.slice(last, offset));
+        if (label !== undefined) {
+            out += format.link(format.text(label), url);
+        } else if (bold !== undefined) {
+            out += format.bold(format.text(bold));
+        } else {
+            out += format.italic(format.text(italic));
+        }
+        last = offset + match.length;
+        return match;
+    });
+    return out + format.text(text.slice(last));
+}
+
+function toHtml(text, from) {
+    return inline(text, {
+        text: escapeHtml,
+        link: (label, url) => (isAbsolute(url)
+            ? `<a class="blinking-link" href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${label}</a>`
+            : `<a class="blinking-link" href="${escapeHtml(resolve(url, from))}">${label}</a>`),
+        bold: (str) => `<b>${str}</b>`,
+        italic: (str) => `<i>${str}</i>`
+    });
+}
+
+function toPlain(text) {
+    return inline(text, { text: String, link: (label) => label, bold: String, italic: String });
+}
+
+/**
+ * First link in a piece of text, if any
+ */
+function firstLink(text) {
+    const match = /\[[^\]]+\]\(([^)\s]+)\)/.exec(text || '');
+    return match ? match[1] : undefined;
+}
+
+function absoluteUrl(url, base) {
+    if (!url) {
+        return undefined;
+    }
+    return isAbsolute(url) ? url : `${base.replace(/\/$/, '')}/${url}`;
+}
+
+/**
+ * "2019-2024" / "2017 - present" / "2016" as JSON Resume dates ({} for anything else)
+ */
+function parseDate(date) {
+    const match = /^(\d{4})(?:\s*-\s*(\d{4}|present))?$/.exec((date || '').trim());
+    if (!match) {
+        return {};
+    }
+    if (match[2] === 'present') {
+        return { startDate: match[1] };
+    }
+    return { startDate: match[1], endDate: match[2] || match[1] };
+}
+
+/**
+ * Sections with their entries filled in (text defaults, "source": "projects" resolved)
+ */
+function resolveSections(data) {
+    return data.cv.sections.map((section) => {
+        const entries = section.source === 'projects' ? projects.cvEntries(data.projects) : section.entries;
+        return {
+            ...section,
+            entries: entries.map((entry) => ({
+                details: [],
+                location: '',
+                ...entry,
+                text: entry.text || (entry.url
+                    ? `${entry.position} for [${entry.organization}](${entry.url})`
+                    : `${entry.position} for ${entry.organization}`)
+            }))
+        };
+    });
+}
+
+// HTML
+
+function renderRow(entry, section, from) {
+    const locationClass = section.locationClass ? `location ${section.locationClass}` : 'location';
+    const description = entry.details.length
+        ? [
+            `                                            <td class="description">${toHtml(entry.text, from)}`,
+            '                                                <ul>',
+            ...entry.details.map((detail) => `                                                    <li>${toHtml(detail, from)}</li>`),
+            '                                                </ul>',
+            '                                            </td>'
+        ]
+        : [`                                            <td class="description">${toHtml(entry.text, from)}</td>`];
+
+    return [
+        '                                        <tr>',
+        `                                            <td class="date">${escapeHtml(entry.date)}</td>`,
+        ...description,
+        `                                            <td class="${locationClass}">${escapeHtml(entry.location)}</td>`,
+        '                                        </tr>'
+    ].join('\n');
+}
+
+function renderSection(section, from) {
+    return [
+        `                            <!-- ${section.title.toUpperCase()} SECTION -->`,
+        '                            <div class="cv-section">',
+        '                                <table class="cv-table">',
+        '                                    <tr class="section-header">',
+        `                                        <th colspan="3"><span class="cv-section-header-label" data-paint-border="chip">${escapeHtml(section.title)}</span></th>`,
+        '                                    </tr>',
+        '                                </table>',
+        '                                <div class="section-content">',
+        '                                    <table class="cv-table">',
+        ...section.entries.map((entry) => renderRow(entry, section, from)),
+        '                                    </table>',
+        '                                </div>',
+        '                            </div>'
+    ].join('\n');
+}
+
+/**
+ * The inside of .cv-table-container: the intro, links to the exports, then every section
+ */
+function renderHtml(data, from) {
+    const header = [
+        '                            <div class="cv-header">',
+        `                                <p>${toHtml(data.cv.basics.summary, from)}</p>`,
+        `                                <p>also available as <a class="blinking-link" href="${resolve('resume.txt', from)}">plain text</a> and <a class="blinking-link" href="${resolve('resume.json', from)}">JSON Resume</a>.</p>`,
+        '                            </div>'
+    ].join('\n');
+    return [header, ...resolveSections(data).map((section) => renderSection(section, from))].join('\n                            \n');
+}
+
+// JSON Resume
+
+function resumeEntry(section, entry, base) {
+    const dates = parseDate(entry.date);
+    const url = absoluteUrl(entry.url || firstLink(entry.text), base);
+    const highlights = entry.details.length ? entry.details.map(toPlain) : undefined;
+
+    switch (section.type) {
+        case 'education':
+            return { institution: entry.institution, area: entry.area, studyType: entry.studyType, url, ...dates };
+        case 'work':
+            return { name: entry.organization, position: entry.position, url, location: entry.location || undefined, ...dates, highlights };
+        case 'volunteer':
+            return { organization: entry.organization, position: entry.position, url, ...dates, summary: toPlain(entry.text), highlights };
+        case 'projects':
+            return {
+                name: entry.name || toPlain(entry.text),
+                description: entry.description || entry.details.map(toPlain).join(' ') || undefined,
+                url,
+                keywords: entry.keywords,
+                roles: section.role ? [section.role] : undefined,
+                ...dates
+            };
+        case 'awards':
+            return { title: toPlain(entry.text), date: dates.startDate, awarder: entry.location || undefined };
+        default:
+            throw new Error(`build: unknown CV section type "${section.type}"`);
+    }
+}
+
+/**
+ * The CV as a JSON Resume document
+ */
+function renderJsonResume(data) {
+    const { basics } = data.cv;
+    const resume = {
+        $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+        basics: { ...basics, summary: toPlain(basics.summary) }
+    };
+    resolveSections(data).forEach((section) => {
+        resume[section.type] = (resume[section.type] || []).concat(
+            section.entries.map((entry) => resumeEntry(section, entry, basics.url))
+        );
+    });
+    resume.meta = { canonical: absoluteUrl('resume.json', basics.url) };
+    return `${JSON.stringify(resume, null, 2)}\n`;
+}
+
+// Plain text
+
+/**
+ * Break text into lines of at most width characters
+ */
+function wrap(text, width) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(Boolean).forEach((word) => {
+        while (word.length > width) {
+            if (line) {
+                lines.push(line);
+            }
+            lines.push(word.slice(0, width));
+            word = word.slice(width);
+            line = '';
+        }
+        if (!line) {
+            line = word;
+        } else if (line.length + 1 + word.length <= width) {
+            line += ` ${word}`;
+        } else {
+            lines.push(line);
+            line = word;
+        }
+    });
+    if (line || !lines.length) {
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * A label in an ASCII box, like the chips on the site
+ */
+function chip(label) {
+    const edge = '-'.repeat(label.length + 2);
+    return [`.${edge}.`, `| ${label} |`, `'${edge}'`];
+}
+
+/**
+ * The CV as fixed-width text; links become [n] references listed at the end
+ */
+function renderText(data) {
+    const { basics } = data.cv;
+    const links = [];
+    const plain = (text) => inline(text, {
+        text: String,
+        link: (label, url) => {
+            const absolute = absoluteUrl(url, basics.url);
+            if (!links.includes(absolute)) {
+                links.push(absolute);
+            }
+            return `${label} [${links.indexOf(absolute) + 1}]`;
+        },
+        bold: String,
+        italic: String
+    });
+
+    const [dateWidth, textWidth, locationWidth] = TEXT_COLUMNS;
+    const columns = (cells) => {
+        const height = Math.max(...cells.map((cell) => cell.length));
+        return Array.from({ length: height }, (unused, i) => [
+            (cells[0][i] || '').padEnd(dateWidth),
+            (cells[1][i] || '').padEnd(textWidth),
+            cells[2][i] || ''
+        ].join('  ').trimEnd());
+    };
+
+    const lines = [
+        basics.name,
+        basics.label,
+        [basics.email, basics.url].filter(Boolean).join(' | '),
+        '='.repeat(TEXT_WIDTH),
+        '',
+        ...wrap(plain(basics.summary), TEXT_WIDTH)
+    ];
+
+    resolveSections(data).forEach((section) => {
+        lines.push('', ...chip(section.title));
+        section.entries.forEach((entry) => {
+            const text = wrap(plain(entry.text), textWidth);
+            entry.details.forEach((detail) => {
+                wrap(plain(detail), textWidth - 2).forEach((line, i) => text.push(`${i ? '  ' : '- '}${line}`));
+            });
+            lines.push(...columns([wrap(entry.date, dateWidth), text, wrap(entry.location, locationWidth)]));
+        });
+    });
+
+    if (links.length) {
+        lines.push('', ...chip('links'), ...links.map((url, i) => `[${i + 1}] ${url}`));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Variables for one page
+ * @param {Object} data - {cv, projects} from src/data
+ * @param {Object} page - Page variables so far (path)
+ */
+function variables(data, page) {
+    return { cv: renderHtml(data, page.path) };
+}
+
+/**
+ * Extra files for the site root, name -> contents
+ */
+function files(data) {
+    return {
+        'resume.json': renderJsonResume(data),
+        'resume.txt': renderText(data)
+    };
+}
+
+module.exports = { renderHtml, renderJsonResume, renderText, variables, files };
@@ -0,0 +1,27 @@
+/**
+ * Small helpers shared by the build partials
+ */
+const path = require('path');
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function isAbsolute(url) {
+    return /^([a-z]+:)?\/\//i.test(url) || /^mailto:/i.test(url);
+}
+
+/**
+ * Site-root relative path as seen from a page (absolute URLs pass through)
+ * @param {string} url - e.g. "images/math1.png"
+ * @param {string} from - The page, relative to the site root, e.g. "pages/desktop.html"
+ */
+function resolve(url, from) {
+    return isAbsolute(url) ? url : path.posix.relative(path.posix.dirname(from), url);
+}
+
+module.exports = { escapeHtml, isAbsolute, resolve };
@@ -0,0 +1,37 @@
+/**
+ * Sidebar menu for the build, rendered by js/site-nav.js from CONFIG.routes / CONFIG.navigation in
+ * js/config.js, the same code and config the browser uses.
+ *
+ * Page variables:
+ *   {{nav}}    - the menu links, the current page marked with aria-current
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../../js/config.js');
+const SiteNav = require('../../js/site-nav.js');
+
+// Indentation of the links inside the layout's menu
+const INDENT = '                    ';
+
+/**
+ * Fail the build on routes that point at no page
+ * @param {string} srcDir - Page sources
+ */
+function checkRoutes(srcDir) {
+    Object.entries(CONFIG.routes).forEach(([name, route]) => {
+        if (!fs.existsSync(path.join(srcDir, route))) {
+            throw new Error(`build: route "${name}" points to missing page ${route}`);
+        }
+    });
+}
+
+/**
+ * Variables for one page
+ * @param {Object} page - Page variables so far (path)
+ */
+function variables(page) {
+    return { nav: SiteNav.renderLinks(page.path, CONFIG).join(`\n${INDENT}`) };
+}
+
+module.exports = { checkRoutes, variables };
@@ -0,0 +1,104 @@
+/**
+ * Project partials for the build, all rendered from src/data/projects.json so the projects index,
+ * project page headers and the CV's selected projects (see cv.js) can never disagree.
+ *
+ * Manifest entries: id, title, stack [], tags [], summary, thumbnail, media [], links {page, repo,
+ * play, external}, date (for the CV), selected (listed on the CV), listed (false keeps it off the
+ * index). Paths are relative to the site root.
+ *
+ * Page variables:
+ *   {{projectsIndex}}    - every listed project as a .project-row, with data-stack / data-tags for
+ *                          the filters in js/project-filter.js
+ *   {{projectHeader}}    - title chip of the page's own project (front matter "project: <id>")
+ *   {{projectImages}}    - JSON array of that project's image media, for slideshow scripts
+ */
+
+const { escapeHtml, resolve } = require('./helpers.js');
+
+/**
+ * "title | stack / stack", the label used on chips everywhere
+ */
+function label(project) {
+    return project.stack.length ? `${project.title} | ${project.stack.join(' / ')}` : project.title;
+}
+
+/**
+ * href plus target attributes: the project page, or the external link in a new tab
+ */
+function linkAttributes(project, from) {
+    if (project.links.page) {
+        return `href="${resolve(project.links.page, from)}"`;
+    }
+    return `href="${escapeHtml(project.links.external)}" target="_blank" rel="noopener noreferrer"`;
+}
+
+function renderRow(project, from) {
+    const link = linkAttributes(project, from);
+    const ariaLabel = project.links.page ? `${project.title} project page` : `${project.title} (opens in a new tab)`;
+    return [
+        `                        <div class="project-row" data-project-id="${escapeHtml(project.id)}" data-stack="${escapeHtml(project.stack.join(','))}" data-tags="${escapeHtml(project.tags.join(','))}">`,
+        `                            <a class="project-row__preview-link" ${link} tabindex="-1" aria-label="${escapeHtml(ariaLabel)}">`,
+        '                                <div class="project-row__preview">',
+        `                                    <img class="project-row__thumb" src="${escapeHtml(resolve(project.thumbnail, from))}" width="480" height="360" alt="" loading="lazy">`,
+        '                                </div>',
+        '                            </a>',
+        '                            <div class="project-row__body">',
+        `                                <a class="project-header-link" ${link}>`,
+        '                                    <table class="cv-table">',
+        '                                        <tr class="section-header">',
+        `                                            <th colspan="3"><span class="cv-section-header-label" data-paint-border="chip">${escapeHtml(label(project))}</span></th>`,
+        '                                        </tr>',
+        '                                    </table>',
+        '                                </a>',
+        `                                <p class="project-row__desc">${escapeHtml(project.summary)}</p>`,
+        '                            </div>',
+        '                        </div>'
+    ].join('\n');
+}
+
+/**
+ * Rows for the projects index, in manifest order
+ */
+function renderIndex(projects, from) {
+    return projects.filter((project) => project.listed !== false).map((project) => renderRow(project, from)).join('\n\n');
+}
+
+/**
+ * The selected projects as CV entries (src/data/cv.json, a section with "source": "projects")
+ */
+function cvEntries(projects) {
+    return projects.filter((project) => project.selected).map((project) => ({
+        date: project.date || '',
+        text: `[${project.title}](${project.links.page || project.links.external}), ${project.summary.charAt(0).toLowerCase()}${project.summary.slice(1)}`,
+        location: project.stack.join(' / '),
+        name: project.title,
+        description: project.summary,
+        url: project.links.page || project.links.external,
+        keywords: project.stack.concat(project.tags)
+    }));
+}
+
+/**
+ * Variables for one page
+ * @param {Object[]} projects - The manifest
+ * @param {Object} page - Page variables so far (path, and "project" from its front matter)
+ * @returns {Object}
+ */
+function variables(projects, page) {
+    const vars = { projectsIndex: renderIndex(projects, page.path) };
+
+    if (page.project) {
+        const project = projects.find((entry) => entry.id === page.project);
+        if (!project) {
+            throw new Error(`build: unknown project "${page.project}"`);
+        }
+
+        vars.projectHeader = `<b data-paint-border="chip">${escapeHtml(label(project))}</b>`;
+        vars.projectImages = JSON.stringify(project.media
+            .filter((item) => item.type === 'image')
+            .map((item) => resolve(item.src, page.path)));
+    }
+    return vars;
+}
+
+module.exports = { label, renderIndex, cvEntries, variables };
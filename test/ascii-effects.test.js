@@ -0,0 +1,207 @@
+/**
+ * AsciiParticles under Node (no DOM, no timers): every behavior from a seeded rng, landing and
+ * pile heights, clustering and SpatialHash queries.
+ *
+ * Usage: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Utils = require('../js/utils.js');
+const { AsciiEffect, AsciiParticles, SpatialHash } = require('../js/ascii-effects.js');
+
+const TICK = AsciiParticles.TICK_MS;
+const BOUNDS = { x: 100, y: 50, width: 160, height: 80 };
+
+function createState(options) {
+    return AsciiParticles.createState(AsciiEffect.resolveOptions({ seed: 5, ...options }), { ...BOUNDS });
+}
+
+// Step tick by tick for ms, calling onTick after each one
+function run(state, rng, ms, onTick = () => {}) {
+    for (let i = 0; i < Math.round(ms / TICK); i++) {
+        AsciiParticles.step(state, TICK, rng);
+        onTick(state);
+    }
+    return state;
+}
+
+test('the same seed and frame times give the same particles, for every behavior', () => {
+    const frames = [16, 7, 33, 16, 250, 1, 16, 50];
+    Object.keys(AsciiParticles.behaviors).forEach((behavior) => {
+        const simulate = () => {
+            const state = createState({ behavior });
+            const rng = Utils.createRandom(state.options.seed);
+            for (let i = 0; i < 300; i++) {
+                AsciiParticles.step(state, frames[i % frames.length], rng);
+            }
+            return state;
+        };
+        const a = simulate();
+        const b = simulate();
+        assert.ok(a.nextId > 0, behavior);
+        assert.deepStrictEqual(a.particles, b.particles, behavior);
+        assert.deepStrictEqual(a.piles, b.piles, behavior);
+    });
+});
+
+test('the frame rate does not change the speed', () => {
+    const at = (fps) => {
+        const state = createState({ behavior: 'snow' });
+        const rng = Utils.createRandom(state.options.seed);
+        // Frames a whole number of ticks long, so both runs stop on the same tick
+        for (let i = 0; i < 10 * fps; i++) {
+            AsciiParticles.step(state, (60 / fps) * TICK, rng);
+        }
+        return state;
+    };
+    assert.deepStrictEqual(at(30).particles, at(60).particles);
+});
+
+test('options.rate spawns that many particles per second, up to maxParticles', () => {
+    const state = createState({ behavior: 'rain', rate: 30, floor: false });
+    run(state, Utils.createRandom(1), 1000);
+    assert.ok(Math.abs(state.nextId - 30) <= 1, `${state.nextId} spawned`);
+
+    const capped = createState({ behavior: 'snow', rate: 100, maxParticles: 10 });
+    run(capped, Utils.createRandom(1), 3000, (s) => assert.ok(s.particles.length <= 10));
+});
+
+test('rain lands on the bottom as a splash and vanishes after settling', () => {
+    const state = createState({ behavior: 'rain' });
+    const bottom = BOUNDS.y + BOUNDS.height;
+    const landed = new Set();
+    run(state, Utils.createRandom(2), 5000, (s) => {
+        s.particles.filter((particle) => particle.settled).forEach((particle) => {
+            assert.strictEqual(particle.y, bottom);
+            assert.strictEqual(particle.char, '.');
+            landed.add(particle);
+        });
+    });
+    assert.ok(landed.size > 20);
+    // A splash rests 120-220ms, so the ones from the first seconds are long gone
+    const alive = new Set(state.particles);
+    assert.ok([...landed].filter((particle) => !alive.has(particle)).length > 10);
+});
+
+test('snow piles up: each column is as high as the flakes resting on it', () => {
+    const state = createState({ behavior: 'snow', rate: 40, maxParticles: 400, settle: [20000, 20000], sway: 0 });
+    const { stackHeight } = state.options;
+    const bottom = BOUNDS.y + BOUNDS.height;
+    run(state, Utils.createRandom(4), 10000);
+
+    const resting = state.particles.filter((particle) => particle.settled);
+    assert.ok(resting.length > 50);
+    const counts = new Map();
+    resting.forEach((particle) => counts.set(particle.column, (counts.get(particle.column) || 0) + 1));
+    assert.deepStrictEqual(new Map([...state.piles].sort()), new Map([...counts].sort()));
+    assert.ok(Math.max(...counts.values()) > 1, 'some flakes stack');
+
+    // Every flake in a column rests on its own layer
+    counts.forEach((count, column) => {
+        const layers = resting
+            .filter((particle) => particle.column === column)
+            .map((particle) => Math.round((bottom - particle.y) / stackHeight))
+            .sort((a, b) => a - b);
+        assert.deepStrictEqual(layers, Array.from({ length: count }, (value, i) => i), `column ${column}`);
+    });
+
+    // Once the flakes melt the piles are gone
+    state.options.rate = 0;
+    run(state, Utils.createRandom(4), 30000);
+    assert.strictEqual(state.piles.size, 0);
+});
+
+test('sparks rise, fall back and burn out within their life', () => {
+    const state = createState({ behavior: 'sparks', floor: false });
+    const maxLife = state.options.life[1];
+    run(state, Utils.createRandom(6), 3000, (s) => {
+        s.particles.forEach((particle) => {
+            assert.ok(particle.age <= maxLife);
+            assert.ok(particle.y <= BOUNDS.y + BOUNDS.height + 20);
+        });
+    });
+    assert.ok(state.nextId > 10);
+});
+
+test('clustering pulls moving particles toward their neighbors', () => {
+    const place = (state, x, y) => {
+        const particle = AsciiParticles.spawnParticle(state, Utils.createRandom(1));
+        Object.assign(particle, { x, y, vx: 0, vy: 0, swaySpeed: 0, phase: 0 });
+        return particle;
+    };
+    const options = { behavior: 'snow', rate: 0, floor: false, sway: 0, fallSpeed: 0, drift: 0 };
+
+    const state = createState({ ...options, clusterRadius: 20, clusterStrength: 0.1 });
+    const a = place(state, 150, 80);
+    const b = place(state, 160, 80);
+    const lone = place(state, 220, 80);
+    AsciiParticles.tick(state, () => 0.5);
+    assert.ok(a.x > 150 && b.x < 160);
+    assert.strictEqual(lone.x, 220);
+
+    const off = createState({ ...options, clusterStrength: 0 });
+    const c = place(off, 150, 80);
+    place(off, 160, 80);
+    AsciiParticles.tick(off, () => 0.5);
+    assert.strictEqual(c.x, 150);
+});
+
+test('SpatialHash.query returns everything in the overlapping cells', () => {
+    const grid = new SpatialHash(10);
+    const items = [[5, 5], [15, 5], [35, 5], [-5, -5], [5, 25]].map(([x, y]) => ({ x, y }));
+    items.forEach((item) => grid.insert(item, item.x, item.y));
+
+    const found = grid.query(8, 8, 4);
+    assert.deepStrictEqual(found, [items[0], items[1]]);
+    // Negative coordinates land in their own cells
+    assert.ok(grid.query(-3, -3, 1).includes(items[3]));
+    // The output array is reused and cleared
+    const out = [1, 2, 3];
+    assert.strictEqual(grid.query(35, 5, 1, out), out);
+    assert.deepStrictEqual(out, [items[2]]);
+    grid.clear();
+    assert.deepStrictEqual(grid.query(8, 8, 100), []);
+});
+
+test('registered behaviors get their defaults and hooks', () => {
+    const calls = { spawn: 0, update: 0, land: 0 };
+    AsciiEffect.registerBehavior('test-drops', {
+        defaults: { chars: ['o'], rate: 10, fallSpeed: [5, 5], settle: 0 },
+        spawn() {
+            calls.spawn++;
+        },
+        update() {
+            calls.update++;
+        },
+        land(particle) {
+            calls.land++;
+            particle.char = 'x';
+        }
+    });
+    try {
+        const state = createState({ behavior: 'test-drops' });
+        assert.deepStrictEqual(state.options.chars, ['o']);
+        run(state, Utils.createRandom(1), 2000);
+        assert.ok(calls.spawn > 0 && calls.update > 0 && calls.land > 0);
+    } finally {
+        delete AsciiParticles.behaviors['test-drops'];
+    }
+});
+
+test('fireflies wander inside the area and only go out when their life ends', () => {
+    const state = createState({ behavior: 'fireflies', rate: 5, maxParticles: 40, life: [20000, 30000] });
+    const margin = 0.5; // One tick of the fastest drift past an edge before turning back
+    const removed = [];
+    let previous = [];
+    run(state, Utils.createRandom(8), 60000, (s) => {
+        s.particles.forEach((particle) => {
+            assert.ok(particle.x >= BOUNDS.x - margin && particle.x <= BOUNDS.x + BOUNDS.width + margin, `x = ${particle.x}`);
+            assert.ok(particle.y >= BOUNDS.y - margin && particle.y <= BOUNDS.y + BOUNDS.height + margin, `y = ${particle.y}`);
+        });
+        const alive = new Set(s.particles);
+        removed.push(...previous.filter((particle) => !alive.has(particle)));
+        previous = s.particles.slice();
+    });
+    assert.ok(removed.length > 10);
+    removed.forEach((particle) => assert.ok(particle.age >= particle.life));
+});
@@ -0,0 +1,220 @@
+/**
+ * PaintBorder geometry under Node (no DOM): computePixels and its shape options, with seeded pixel snapshots.
+ *
+ * Usage: npm test  (UPDATE_SNAPSHOTS=1 npm test rewrites test/snapshots/paint-border.json)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const PaintBorder = require('../js/paint-border.js');
+
+const SNAPSHOT_FILE = path.join(__dirname, 'snapshots', 'paint-border.json');
+const RECT = { x: 0, y: 0, width: 120, height: 80 };
+
+// One snapshot per case, all seeded
+const CASES = {
+    rect: { seed: 1 },
+    rounded: { seed: 2, cornerRadius: 16 },
+    thick: { seed: 3, cornerRadius: 12, thickness: 3 },
+    path: { seed: 6, shape: 'M 0 0 L 120 0 L 60 80 Z' },
+    hatch: { seed: 5, fill: 'hatch', fillColor: '#333333' },
+    dashed: { seed: 4, lineStyle: 'dashed' }
+};
+
+test('the same seed, rect and options give the same pixels', () => {
+    const options = { seed: 42, cornerRadius: 16, randomness: 0.8 };
+    assert.deepStrictEqual(PaintBorder.computePixels(RECT, options), PaintBorder.computePixels(RECT, options));
+});
+
+test('a different seed gives a different border', () => {
+    assert.notDeepStrictEqual(PaintBorder.computePixels(RECT, { seed: 1 }), PaintBorder.computePixels(RECT, { seed: 2 }));
+});
+
+test('string seeds work like numbers', () => {
+    assert.deepStrictEqual(PaintBorder.computePixels(RECT, { seed: 'home' }), PaintBorder.computePixels(RECT, { seed: 'home' }));
+});
+
+test('computePixels returns whole-number rectangles around the rect', () => {
+    const pixels = PaintBorder.computePixels(RECT, { seed: 1 });
+    assert.ok(pixels.length > 0);
+    pixels.forEach((p) => {
+        ['x', 'y', 'w', 'h'].forEach((key) => assert.ok(Number.isInteger(p[key]), `${key} = ${p[key]}`));
+        // Jitter may push a pixel one pixel size past the edge, never further
+        assert.ok(p.x >= RECT.x - 4 && p.x + p.w <= RECT.x + RECT.width + 4);
+        assert.ok(p.y >= RECT.y - 4 && p.y + p.h <= RECT.y + RECT.height + 4);
+    });
+});
+
+test('pixels match the committed snapshots', () => {
+    const actual = {};
+    Object.entries(CASES).forEach(([name, options]) => {
+        actual[name] = PaintBorder.computePixels(RECT, options);
+    });
+
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+        // One pixel per line keeps snapshot diffs readable
+        const cases = Object.entries(actual).map(([name, pixels]) =>
+            `  ${JSON.stringify(name)}: [\n${pixels.map((p) => `    ${JSON.stringify(p)}`).join(',\n')}\n  ]`);
+        fs.writeFileSync(SNAPSHOT_FILE, `{\n${cases.join(',\n')}\n}\n`);
+        return;
+    }
+
+    const expected = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'));
+    Object.keys(CASES).forEach((name) => {
+        assert.deepStrictEqual(actual[name], expected[name], `snapshot "${name}" changed (UPDATE_SNAPSHOTS=1 npm test to accept)`);
+    });
+});
+
+test('toSVG writes one rect per pixel', () => {
+    const svg = PaintBorder.toSVG([{ x: 1, y: 2, w: 4, h: 4 }, { x: 5, y: 2, w: 4, h: 4 }], { width: 10, height: 10, color: '#7b7b7b' });
+    assert.match(svg, /^<svg [^>]*viewBox="0 0 10 10"/);
+    assert.match(svg, /<g fill="#7b7b7b">/);
+    assert.strictEqual(svg.match(/<rect /g).length, 2);
+    assert.match(svg, /<rect x="1" y="2" width="4" height="4"\/>/);
+});
+
+test('boil frames are reproducible and frame 0 is the plain seed', () => {
+    const options = { seed: 9, boil: true, boilFrames: 3 };
+    const frames = PaintBorder.computeFrames(RECT, options);
+    assert.strictEqual(frames.length, 3);
+    assert.deepStrictEqual(frames, PaintBorder.computeFrames(RECT, options));
+    assert.deepStrictEqual(frames[0], PaintBorder.computePixels(RECT, options));
+    assert.notDeepStrictEqual(frames[1], frames[0]);
+});
+
+test('a path and the same closed point array trace the same pixels', () => {
+    const points = [{ x: 0, y: 0 }, { x: 120, y: 0 }, { x: 60, y: 80 }];
+    const polygon = PaintBorder.computePixels(RECT, { seed: 6, shape: points, closed: true });
+    assert.deepStrictEqual(PaintBorder.computePixels(RECT, { seed: 6, shape: 'M 0 0 L 120 0 L 60 80 Z' }), polygon);
+    // Left open, the polyline has no closing edge
+    assert.ok(PaintBorder.computePixels(RECT, { seed: 6, shape: points }).length < polygon.length);
+});
+
+test('curves and arcs in path data are traced', () => {
+    const pixels = PaintBorder.computePixels(RECT, { seed: 6, shape: 'M0 0 C 40 80 80 -80 120 0 A 20 20 0 0 1 120 40 Z' });
+    assert.ok(pixels.length > 0);
+    assert.ok(pixels.every((p) => Number.isFinite(p.x) && Number.isFinite(p.y)));
+});
+
+test('fill pixels come first, carry the fill color and leave the stroke alone', () => {
+    const stroke = PaintBorder.computePixels(RECT, { seed: 5 });
+    ['solid', 'dither', 'hatch', 'spray'].forEach((fill) => {
+        const pixels = PaintBorder.computePixels(RECT, { seed: 5, fill, fillColor: '#333333' });
+        const firstStroke = pixels.findIndex((p) => !p.color);
+        assert.ok(firstStroke > 0, fill);
+        assert.ok(pixels.slice(0, firstStroke).every((p) => p.color === '#333333'), fill);
+        assert.deepStrictEqual(pixels.slice(firstStroke), stroke, fill);
+    });
+});
+
+test('toSVG gives colored pixels their own fill', () => {
+    const svg = PaintBorder.toSVG([{ x: 1, y: 2, w: 4, h: 4, color: '#333333' }], { width: 10, height: 10 });
+    assert.match(svg, /<rect x="1" y="2" width="4" height="4" fill="#333333"\/>/);
+});
+
+test('a side set to false is left out', () => {
+    const alongTop = (p) => p.y < 8 && p.x > 20 && p.x < 100;
+    assert.ok(PaintBorder.computePixels(RECT, { seed: 1 }).some(alongTop));
+    assert.ok(!PaintBorder.computePixels(RECT, { seed: 1, sides: { top: false } }).some(alongTop));
+});
+
+test('sides and corners off except the bottom edge draw an underline', () => {
+    const pixels = PaintBorder.computePixels(RECT, {
+        seed: 1,
+        sides: { top: false, left: false, right: false },
+        corners: { topLeft: false, topRight: false, bottomRight: false, bottomLeft: false }
+    });
+    assert.ok(pixels.length > 0);
+    assert.ok(pixels.every((p) => p.y > RECT.height - 8));
+});
+
+test('per-side and per-corner colors and thickness', () => {
+    assert.ok(PaintBorder.computePixels(RECT, { seed: 1, sides: { top: { color: '#ff0000' } } }).some((p) => p.color === '#ff0000'));
+    const corner = PaintBorder.computePixels(RECT, { seed: 1, corners: { topLeft: { color: '#0000ff' } } }).filter((p) => p.color === '#0000ff');
+    assert.ok(corner.length > 0);
+    assert.ok(corner.every((p) => p.x < 16 && p.y < 16));
+    assert.ok(PaintBorder.computePixels(RECT, { seed: 1, thickness: 3 }).length > PaintBorder.computePixels(RECT, { seed: 1 }).length);
+});
+
+test('dashed and dotted lines leave gaps', () => {
+    const solid = PaintBorder.computePixels(RECT, { seed: 4 }).length;
+    const dashed = PaintBorder.computePixels(RECT, { seed: 4, lineStyle: 'dashed' }).length;
+    const dotted = PaintBorder.computePixels(RECT, { seed: 4, lineStyle: 'dotted' }).length;
+    assert.ok(dashed < solid);
+    assert.ok(dotted < dashed);
+});
+
+test('traceShape keeps the resolved corners along with the pixels', () => {
+    const options = { seed: 1, cornerRadius: 12, corners: { topLeft: { radius: 4 }, bottomLeft: false } };
+    const shape = PaintBorder.traceShape(RECT, options);
+    assert.strictEqual(shape.corners.topLeft.radius, 4);
+    assert.strictEqual(shape.corners.bottomRight.radius, 12);
+    assert.deepStrictEqual(shape.pixels, PaintBorder.computePixels(RECT, options));
+});
+
+test('computeFrames reuses a frame 0 that was traced already', () => {
+    const options = { seed: 9, boilFrames: 3 };
+    const first = PaintBorder.computePixels(RECT, options);
+    const frames = PaintBorder.computeFrames(RECT, options, first);
+    assert.strictEqual(frames[0], first);
+    assert.deepStrictEqual(frames, PaintBorder.computeFrames(RECT, options));
+});
+
+test('a thick corner spreads across the radius instead of stacking on one arc', () => {
+    // Distances of a corner's pixel centers from the corner's center (radius 15 at the top left)
+    const distances = (thickness) => PaintBorder.computePixels(RECT, {
+        seed: 1,
+        randomness: 0.01,
+        jitterAmount: 0.01,
+        corners: { topLeft: { thickness, color: '#0000ff' } }
+    }).filter((p) => p.color === '#0000ff').map((p) => Math.hypot(p.x + p.w / 2 - 15, p.y + p.h / 2 - 15));
+    const band = (list) => Math.max(...list) - Math.min(...list);
+    assert.ok(band(distances(3)) > band(distances(1)) + 4);
+});
+
+test('per-side and per-corner colors resolve CSS variables like the main color', () => {
+    // Just enough of a document for Utils.resolveCSSValue
+    global.document = { documentElement: {} };
+    global.getComputedStyle = () => ({ getPropertyValue: (name) => (name === '--accent' ? ' #123456 ' : '') });
+    try {
+        const sides = PaintBorder.resolveStrokeColors({
+            top: { color: 'var(--accent)', thickness: 2 },
+            right: { color: 'var(--missing, #abcdef)' },
+            bottom: false,
+            left: { color: '#ff0000' }
+        });
+        assert.deepStrictEqual(sides, {
+            top: { color: '#123456', thickness: 2 },
+            right: { color: '#abcdef' },
+            bottom: false,
+            left: { color: '#ff0000' }
+        });
+    } finally {
+        delete global.document;
+        delete global.getComputedStyle;
+    }
+});
+
+test('path data must start with a moveto', () => {
+    ['L 10 10', 'Z', 'l 5 5 M 0 0'].forEach((shape) => {
+        assert.throws(() => PaintBorder.computePixels(RECT, { seed: 1, shape }), /must start with a moveto/, shape);
+    });
+});
+
+test('malformed path data throws instead of hanging or drawing nothing', () => {
+    [
+        ['M0 0 L10 10 Z 5 5', /number after Z/],
+        ['M0 0 L10 10 z 5', /number after z/],
+        ['M0 0 L10', /L is missing a number/],
+        ['M0 0 C 1 2 3 4 5', /C is missing a number/],
+        ['M0 0 A 5 5 0 0 1 10', /A is missing a number/],
+        ['M0', /M is missing a number/],
+        ['M0 0 L1e999 0', /not a finite number/]
+    ].forEach(([shape, error]) => {
+        assert.throws(() => PaintBorder.computePixels(RECT, { seed: 1, shape }), error, shape);
+    });
+    // Closing and starting a new subpath is still fine
+    assert.ok(PaintBorder.computePixels(RECT, { seed: 1, shape: 'M0 0 L40 0 L20 30 Z M60 0 L100 0 L80 30 Z' }).length > 0);
+});
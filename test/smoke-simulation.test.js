@@ -0,0 +1,303 @@
+/**
+ * SmokeSimulation under Node (no DOM, no timers): fixed timestep, clumped spawning, clustering,
+ * collecting and stacking on the border, fading out and pointer / scroll pushes, all from a seeded rng.
+ *
+ * Usage: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Utils = require('../js/utils.js');
+const SmokeAnimation = require('../js/smoke-animation.js');
+const { SmokeSimulation } = SmokeAnimation;
+
+const TICK = SmokeSimulation.TICK_MS;
+
+// A small box with the source 60px below its top edge
+const LAYOUT = {
+    sourceX: 100,
+    sourceY: 60,
+    outline: { x: 0, y: 0, width: 200, height: 120, radii: { topLeft: 10, topRight: 10, bottomRight: 10, bottomLeft: 10 } }
+};
+
+function createState(options = {}) {
+    return SmokeAnimation.createState({ seed: 3, windSpeed: 0, ...options }, LAYOUT);
+}
+
+// Step tick by tick for ms, calling onTick after each one
+function run(state, rng, ms, onTick = () => {}) {
+    for (let i = 0; i < Math.round(ms / TICK); i++) {
+        SmokeAnimation.step(state, TICK, rng);
+        onTick(state);
+    }
+    return state;
+}
+
+// A particle at (x, y) that neither swirls nor drifts, so only the clumping force moves it sideways
+function placeStill(state, x, y) {
+    const smoke = SmokeSimulation.spawnParticle(state, Utils.createRandom(1));
+    Object.assign(smoke, { currentX: x, currentY: y, startX: x, startY: y, swirlRadius: 0, horizontalDrift: 0 });
+    return smoke;
+}
+
+test('the same seed and frame times give the same smoke', () => {
+    const frames = [16, 7, 33, 16, 250, 1, 16, 50];
+    const simulate = () => {
+        const state = createState();
+        const rng = Utils.createRandom(state.options.seed);
+        for (let i = 0; i < 200; i++) {
+            SmokeAnimation.step(state, frames[i % frames.length], rng);
+        }
+        return state;
+    };
+    const a = simulate();
+    const b = simulate();
+    assert.ok(a.particles.length > 0);
+    assert.strictEqual(a.ticks, b.ticks);
+    assert.deepStrictEqual(a.particles, b.particles);
+});
+
+test('the frame rate does not change the speed', () => {
+    const at = (fps) => {
+        const state = createState();
+        const rng = Utils.createRandom(state.options.seed);
+        // Frames a whole number of ticks long, so both runs stop on the same tick
+        for (let i = 0; i < 5 * fps; i++) {
+            SmokeAnimation.step(state, (60 / fps) * TICK, rng);
+        }
+        return state;
+    };
+    const slow = at(30);
+    const fast = at(60);
+    assert.strictEqual(slow.ticks, 300);
+    assert.strictEqual(fast.ticks, 300);
+    assert.deepStrictEqual(slow.particles, fast.particles);
+});
+
+test('long gaps are capped instead of fast-forwarding', () => {
+    const capped = createState();
+    const gap = createState();
+    SmokeAnimation.step(capped, SmokeSimulation.MAX_STEP_MS, Utils.createRandom(1));
+    SmokeAnimation.step(gap, 60000, Utils.createRandom(1));
+    assert.ok(capped.ticks > 0);
+    assert.strictEqual(gap.ticks, capped.ticks);
+});
+
+test('particles spawn in clumps with a pause between them', () => {
+    const state = createState();
+    const spawnTimes = [];
+    run(state, Utils.createRandom(3), 20000, (s) => {
+        while (spawnTimes.length < s.nextId) {
+            spawnTimes.push(s.ticks * TICK);
+        }
+    });
+
+    // First clump after 300ms (on the first tick at or past it)
+    assert.ok(spawnTimes[0] >= 300 && spawnTimes[0] <= 300 + 2 * TICK);
+
+    // Split wherever two particles are further apart than a clump's spawn interval
+    const clumps = [[spawnTimes[0]]];
+    for (let i = 1; i < spawnTimes.length; i++) {
+        const gap = spawnTimes[i] - spawnTimes[i - 1];
+        if (gap <= 100 + TICK) {
+            clumps[clumps.length - 1].push(spawnTimes[i]);
+        } else {
+            // The last spawn interval plus a clumpPause of 1000-2000ms
+            assert.ok(gap >= 1100 - TICK && gap <= 2100 + TICK, `pause of ${gap}ms`);
+            clumps.push([spawnTimes[i]]);
+        }
+    }
+    // The last clump may still be spawning
+    clumps.slice(0, -1).forEach((clump) => {
+        assert.ok(clump.length >= 3 && clump.length <= 5, `clump of ${clump.length}`);
+    });
+    assert.ok(clumps.length >= 8);
+});
+
+test('floating neighbors pull together and rise faster than a lone particle', () => {
+    const state = createState();
+    state.spawn.timer = Infinity; // Only the particles placed here
+    const left = placeStill(state, 90, 60);
+    const right = placeStill(state, 100, 60);
+    const lone = placeStill(state, 160, 60);
+    // rng 0.5: no turbulence, so every sideways move comes from the clumping force
+    const rng = () => 0.5;
+
+    for (let i = 0; i < 30; i++) {
+        SmokeSimulation.tick(state, rng);
+    }
+    assert.ok(left.currentX > 90);
+    assert.ok(right.currentX < 100);
+    assert.ok(right.currentX - left.currentX < 10);
+    assert.strictEqual(lone.currentX, 160);
+    assert.ok(left.currentY < lone.currentY, 'clumped smoke rises faster');
+
+    // Out of each other's clusterRadius nothing pulls
+    const far = createState({ clusterRadius: 5 });
+    far.spawn.timer = Infinity;
+    const a = placeStill(far, 90, 60);
+    placeStill(far, 100, 60);
+    SmokeSimulation.tick(far, rng);
+    assert.strictEqual(a.currentX, 90);
+});
+
+test('the path runs clockwise around the rounded outline', () => {
+    const path = SmokeSimulation.createPath(LAYOUT.outline);
+    // Four straight edges shortened by the radii, plus a full circle of corners
+    assert.ok(Math.abs(path.length - (2 * (200 + 120) - 8 * 10 + 2 * Math.PI * 10)) < 1e-9);
+    const near = (point, expected) => Object.entries(expected).forEach(([key, value]) => {
+        assert.ok(Math.abs(point[key] - value) < 1e-9, `${key} = ${point[key]}, expected ${value}`);
+    });
+    // Starts along the top edge heading right, normal pointing up (out of the box)
+    near(SmokeSimulation.pointAt(path, 0), { x: 10, y: 0, tx: 1, ty: 0, nx: 0, ny: -1 });
+    near(SmokeSimulation.pointAt(path, path.segments.right.start + 50), { x: 200, y: 60, nx: 1, ny: 0 });
+    // Wraps around
+    assert.deepStrictEqual(SmokeSimulation.pointAt(path, path.length + 5), SmokeSimulation.pointAt(path, 5));
+    assert.strictEqual(SmokeSimulation.borderAbove(path, 100).y, 0);
+    assert.ok(SmokeSimulation.borderAbove(path, 2).y > 0, 'the corner curves down');
+    assert.strictEqual(SmokeSimulation.borderAbove(path, 201), null);
+});
+
+test('smoke rises and collects along the border', () => {
+    const state = createState({ borderLife: Infinity });
+    run(state, Utils.createRandom(3), 30000);
+
+    const collected = state.particles.filter((smoke) => smoke.hasReachedTop);
+    assert.ok(collected.length > 10);
+    collected.forEach((smoke) => {
+        assert.ok(smoke.pathPosition >= 0 && smoke.pathPosition < state.path.length);
+        assert.strictEqual(smoke.char, state.options.chars[state.options.chars.length - 1]);
+        // On its layer off the border line, give or take the oscillation and jitter
+        const point = SmokeSimulation.pointAt(state.path, smoke.pathPosition);
+        const offset = Math.hypot(smoke.currentX - point.x - point.nx * smoke.stackLayer * 3, smoke.currentY - point.y - point.ny * smoke.stackLayer * 3);
+        assert.ok(offset <= smoke.oscillationAmplitude + 0.15 + 1e-9, `${offset}px off its layer`);
+    });
+    assert.ok(collected.some((smoke) => smoke.stackLayer > 0), 'some smoke stacks');
+    state.particles.filter((smoke) => !smoke.hasReachedTop).forEach((smoke) => {
+        assert.ok(smoke.currentY <= smoke.startY, 'floating smoke never sinks below its source');
+    });
+});
+
+test('smoke landing next to collected smoke stacks on top of it', () => {
+    const state = createState({ borderLife: Infinity });
+    state.spawn.timer = Infinity;
+    const rng = () => 0.5;
+    // Collected smoke on the top edge, at x = 100 and x = 160 (the path starts at x = 10)
+    const collect = (x, stackLayer) => Object.assign(placeStill(state, x, 0), {
+        hasReachedTop: true,
+        pathPosition: x - LAYOUT.outline.radii.topLeft,
+        stackLayer,
+        moveSpeed: 0,
+        oscillationAmplitude: 0
+    });
+    collect(100, 2);
+    collect(160, 40);
+    // Floating just under the border: one close to each, one far from both
+    const onTop = placeStill(state, 105, 0.01);
+    const capped = placeStill(state, 155, 0.01);
+    const alone = placeStill(state, 40, 0.01);
+    SmokeSimulation.tick(state, rng);
+
+    [onTop, capped, alone].forEach((smoke) => assert.ok(smoke.hasReachedTop));
+    assert.strictEqual(onTop.stackLayer, 3);
+    assert.strictEqual(capped.stackLayer, Math.floor(state.options.maxStackHeight / 3));
+    assert.strictEqual(alone.stackLayer, 0);
+
+    // Each layer sits 3px further out from the border (up, off the top edge)
+    Object.assign(onTop, { oscillationAmplitude: 0, displacement: 0 });
+    SmokeSimulation.tick(state, rng);
+    assert.ok(Math.abs(onTop.currentY + 3 * 3) < 1e-9, `y = ${onTop.currentY}`);
+});
+
+test('collected smoke follows the outline when it moves', () => {
+    const state = createState({ borderLife: Infinity });
+    const rng = Utils.createRandom(3);
+    run(state, rng, 20000);
+    const collected = state.particles.filter((smoke) => smoke.hasReachedTop);
+    const positions = collected.map((smoke) => smoke.pathPosition);
+    SmokeSimulation.setLayout(state, { outline: { ...LAYOUT.outline, y: 300 } });
+    SmokeAnimation.step(state, TICK, rng);
+    collected.forEach((smoke, i) => {
+        assert.ok(Math.abs(smoke.pathPosition - positions[i]) < 1);
+        assert.ok(smoke.currentY > 290 - smoke.stackLayer * 3);
+    });
+});
+
+test('collected smoke fades out and the source keeps going', () => {
+    const state = createState({ borderLife: [1000, 1000], fadeDuration: 500 });
+    const removed = new Set();
+    const seen = new Map();
+    run(state, Utils.createRandom(3), 40000, (s) => {
+        const alive = new Set(s.particles.map((smoke) => smoke.id));
+        s.particles.forEach((smoke) => seen.set(smoke.id, smoke));
+        seen.forEach((smoke, id) => {
+            if (!alive.has(id)) {
+                removed.add(smoke);
+            }
+        });
+    });
+
+    assert.ok(removed.size > 10);
+    removed.forEach((smoke) => {
+        assert.ok(smoke.fading);
+        assert.strictEqual(smoke.opacity, 0);
+    });
+    // Faded particles are dropped on the tick they reach zero
+    assert.ok(state.particles.every((smoke) => smoke.opacity > 0));
+    // New clumps still rise after the first ones are gone
+    assert.ok(state.particles.some((smoke) => !smoke.hasReachedTop));
+    assert.ok(state.nextId > removed.size);
+});
+
+test('puff releases extra particles on the next tick', () => {
+    const state = createState();
+    SmokeSimulation.puff(state, 12);
+    SmokeAnimation.step(state, TICK, Utils.createRandom(3));
+    assert.strictEqual(state.particles.length, 12);
+    assert.ok(state.particles.every((smoke) => !smoke.hasReachedTop && smoke.currentY <= LAYOUT.sourceY));
+});
+
+test('a pointer push moves the smoke within its reach, then dies away', () => {
+    const state = createState();
+    state.spawn.timer = Infinity;
+    const near = placeStill(state, 100, 60);
+    const far = placeStill(state, 30, 60);
+    const rng = () => 0.5;
+
+    SmokeSimulation.addForce(state, { x: 100, y: 60, vx: 10, vy: 0 });
+    SmokeSimulation.tick(state, rng);
+    // Right under the pointer (it has only just risen away): close to pointerStrength of its speed
+    const pushed = near.currentX - 100;
+    assert.ok(pushed > 0.95 * 10 * state.options.pointerStrength && pushed <= 10 * state.options.pointerStrength, `${pushed}px`);
+    assert.strictEqual(far.currentX, 30);
+
+    for (let i = 0; i < 100; i++) {
+        SmokeSimulation.tick(state, rng);
+    }
+    assert.strictEqual(state.forces.length, 0);
+});
+
+test('pointer pushes are capped at MAX_FORCE_SPEED', () => {
+    const state = createState();
+    SmokeSimulation.addForce(state, { x: 0, y: 0, vx: 3000, vy: 4000 });
+    const force = state.forces[0];
+    assert.ok(Math.abs(Math.hypot(force.vx, force.vy) - SmokeSimulation.MAX_FORCE_SPEED) < 1e-9);
+});
+
+test('a scroll pushes every particle and collected smoke eases back onto the border', () => {
+    const state = createState({ borderLife: Infinity });
+    const rng = Utils.createRandom(3);
+    run(state, rng, 20000);
+    const collected = state.particles.filter((smoke) => smoke.hasReachedTop);
+    assert.ok(collected.length > 0);
+
+    // Scrolling down pushes the smoke up, off the top edge
+    SmokeSimulation.addScroll(state, 0, -200);
+    SmokeAnimation.step(state, TICK, rng);
+    const onTop = collected.filter((smoke) => smoke.pathPosition < state.path.segments.top.length);
+    assert.ok(onTop.length > 0);
+    onTop.forEach((smoke) => assert.ok(smoke.displacement > 0));
+
+    run(state, rng, 5000);
+    assert.deepStrictEqual(state.scroll, { vx: 0, vy: 0 });
+    collected.forEach((smoke) => assert.ok(Math.abs(smoke.displacement) < 0.5, `still ${smoke.displacement}px off`));
+});
@@ -0,0 +1,39 @@
+/**
+ * Utils under Node: the seeded PRNG behind PaintBorder and the ASCII effects.
+ *
+ * Usage: npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const Utils = require('../js/utils.js');
+
+// First n values of a generator
+function take(random, n) {
+    return Array.from({ length: n }, () => random());
+}
+
+test('the same seed gives the same sequence', () => {
+    assert.deepStrictEqual(take(Utils.createRandom(42), 100), take(Utils.createRandom(42), 100));
+    assert.deepStrictEqual(take(Utils.createRandom('home'), 100), take(Utils.createRandom('home'), 100));
+});
+
+test('different seeds give different sequences', () => {
+    assert.notDeepStrictEqual(take(Utils.createRandom(1), 10), take(Utils.createRandom(2), 10));
+    assert.notDeepStrictEqual(take(Utils.createRandom('a'), 10), take(Utils.createRandom('b'), 10));
+});
+
+test('values fall in [0, 1)', () => {
+    take(Utils.createRandom(7), 10000).forEach((value) => {
+        assert.ok(value >= 0 && value < 1, `${value}`);
+    });
+});
+
+test('hashSeed maps numbers and strings to 32-bit unsigned integers', () => {
+    assert.strictEqual(Utils.hashSeed(5), 5);
+    assert.strictEqual(Utils.hashSeed(-1), 4294967295);
+    [0.5, NaN, 'seed', ''].forEach((seed) => {
+        const hash = Utils.hashSeed(seed);
+        assert.ok(Number.isInteger(hash) && hash >= 0 && hash < 4294967296, `${seed} -> ${hash}`);
+    });
+    assert.strictEqual(Utils.hashSeed('seed'), Utils.hashSeed('seed'));
+});